@@ -14,14 +14,26 @@ const MetadataService = require('./src/services/MetadataService');
 const FFmpegService = require('./src/services/FFmpegService');
 const RadioService = require('./src/services/RadioService');
 const FileImportService = require('./src/services/FileImportService'); // NEW
+const ReportService = require('./src/services/ReportService');
+const AudioAnalysisService = require('./src/services/AudioAnalysisService');
+const WaveformService = require('./src/services/WaveformService');
 
 // Import routes
 const fileRoutes = require('./src/routes/fileRoutes');
 const systemRoutes = require('./src/routes/systemRoutes');
 const radioRoutes = require('./src/routes/radioRoutes');
+const playlistRoutes = require('./src/routes/playlistRoutes');
+const reportRoutes = require('./src/routes/reportRoutes');
+const liveRoutes = require('./src/routes/liveRoutes');
 
 const app = express();
 const server = createServer(app);
+
+// A live feed is one request as long as the show, so live ingest
+// (POST /api/radio/live) has its own server without a request timeout
+const liveApp = express();
+const liveServer = createServer({ requestTimeout: 0 }, liveApp);
+
 const io = new Server(server, {
   cors: {
     origin: true,
@@ -32,12 +44,16 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
+const LIVE_PORT = process.env.LIVE_PORT || 3001;
 
 // Initialize services
 let metadataService;
 let ffmpegService;
 let radioService;
 let fileImportService; // NEW
+let reportService;
+let audioAnalysisService;
+let waveformService;
 let isShuttingDown = false;
 
 async function initializeServices() {
@@ -57,6 +73,14 @@ async function initializeServices() {
     // Initialize FFmpeg service with job recovery
     ffmpegService = new FFmpegService(metadataService, io);
     
+    // Audio analysis runs after each encode and on demand
+    audioAnalysisService = new AudioAnalysisService(metadataService, io);
+    ffmpegService.setAudioAnalysisService(audioAnalysisService);
+    
+    // Waveform peaks cached next to each encoded file
+    waveformService = new WaveformService();
+    ffmpegService.setWaveformService(waveformService);
+    
     // Initialize Radio service
     radioService = new RadioService(metadataService, io);
     await radioService.initialize();
@@ -68,11 +92,14 @@ async function initializeServices() {
     // Set cross-references between services
     ffmpegService.setFileImportService(fileImportService);
     
+    // Reports read the as-run log kept by RadioService
+    reportService = new ReportService(metadataService);
+    
     // Clear any stale radio state from previous session
     await metadataService.clearRadioState();
     
     logger.info('All services initialized successfully');
-    return { metadataService, ffmpegService, radioService, fileImportService };
+    return { metadataService, ffmpegService, radioService, fileImportService, reportService, audioAnalysisService, waveformService };
   } catch (error) {
     logger.error('Failed to initialize services:', error);
     process.exit(1);
@@ -93,6 +120,9 @@ async function gracefulShutdown(signal) {
     server.close(() => {
       logger.info('HTTP server closed');
     });
+    liveServer.close(() => {
+      logger.info('Live ingest server closed');
+    });
     
     // Notify all clients about server shutdown
     io.emit('server_restart', {
@@ -121,6 +151,11 @@ async function gracefulShutdown(signal) {
       await fileImportService.cleanup();
     }
     
+    if (audioAnalysisService) {
+      logger.info('Cleaning up AudioAnalysisService...');
+      await audioAnalysisService.cleanup();
+    }
+    
     // Close Socket.IO connections
     io.close(() => {
       logger.info('Socket.IO server closed');
@@ -158,10 +193,11 @@ app.use((req, res, next) => {
 });
 
 // Make services available to routes
-app.use((req, res, next) => {
-  req.services = { metadataService, ffmpegService, radioService, fileImportService, io };
+const attachServices = (req, res, next) => {
+  req.services = { metadataService, ffmpegService, radioService, fileImportService, reportService, audioAnalysisService, waveformService, io };
   next();
-});
+};
+app.use(attachServices);
 
 // Serve static files FIRST
 const publicPath = path.join(__dirname, 'public');
@@ -185,6 +221,8 @@ app.use(express.static(publicPath, {
 app.use('/api/files', fileRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/radio', radioRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Enhanced health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -253,6 +291,16 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// Live ingest server: live feeds only
+liveApp.use(attachServices);
+liveApp.use('/api/radio', liveRoutes);
+liveApp.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    message: `Only POST /api/radio/live is served on the live port: ${req.method} ${req.originalUrl}`
+  });
+});
+
 // API 404 handler
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -420,10 +468,14 @@ io.on('connection', (socket) => {
     }
   });
   
-  socket.on('radio_skip', async () => {
+  socket.on('radio_skip', async (data) => {
     try {
       if (radioService) {
-        const result = await radioService.skip();
+        const result = await radioService.skip({
+          via: 'socket',
+          client: socket.id,
+          name: data?.requestedBy || null
+        });
         socket.emit('radio_command_result', {
           command: 'skip',
           result: result,
@@ -439,6 +491,40 @@ io.on('connection', (socket) => {
       });
     }
   });
+  
+  // Play-next queue via Socket.IO (changes are broadcast as 'radio-queue-updated')
+  const queueCommands = {
+    radio_queue_add: ['queue-add', data => radioService.queueTrack({
+      fileId: data?.fileId,
+      position: data?.position === 'next' ? 'next' : 'end',
+      at: data?.at || null
+    }, { via: 'socket', client: socket.id })],
+    radio_queue_remove: ['queue-remove', data => radioService.unqueueTrack(data?.itemId)],
+    radio_queue_reorder: ['queue-reorder', data => radioService.reorderQueue(Array.isArray(data?.itemIds) ? data.itemIds : [])],
+    radio_queue_clear: ['queue-clear', () => radioService.clearQueue()]
+  };
+  
+  for (const [event, [command, run]] of Object.entries(queueCommands)) {
+    socket.on(event, async (data) => {
+      try {
+        if (radioService) {
+          const result = await run(data);
+          socket.emit('radio_command_result', {
+            command,
+            result,
+            timestamp: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        logger.error(`Failed to run ${command} via socket:`, error);
+        socket.emit('radio_command_error', {
+          command,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
 });
 
 // Signal handlers for graceful shutdown
@@ -458,6 +544,10 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start server
 initializeServices().then(() => {
+  liveServer.listen(LIVE_PORT, () => {
+    logger.info(`Live ingest listening on port ${LIVE_PORT}`);
+  });
+
   server.listen(PORT, () => {
     logger.info(`Radio Station Backend running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -495,6 +585,13 @@ initializeServices().then(() => {
       const importStatus = fileImportService.getStatus();
       logger.info('File import service status:', importStatus);
     }
+    
+    // Go back on air by itself (resuming where playback left off)
+    if (radioService) {
+      radioService.supervisor.startOnBoot().catch(error => {
+        logger.error('Auto-restart failed:', error);
+      });
+    }
   });
 }).catch(error => {
   logger.error('Failed to start server:', error);
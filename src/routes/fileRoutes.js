@@ -6,6 +6,7 @@ const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const MetadataService = require('../services/MetadataService');
 
 const router = express.Router();
 
@@ -15,6 +16,107 @@ const fileValidationSchema = Joi.object({
   size: Joi.number().max(500 * 1024 * 1024).required() // 500MB max
 });
 
+// Per-file radio transition overrides (null falls back to radioConfig)
+const transitionsSchema = Joi.object({
+  crossfadeDuration: Joi.number().min(0).max(30).allow(null).optional(),
+  fadeInDuration: Joi.number().min(0).max(30).allow(null).optional(),
+  fadeOutDuration: Joi.number().min(0).max(30).allow(null).optional()
+});
+
+// Cue points in seconds into the file (null clears one)
+const cuesSchema = Joi.object({
+  cueIn: Joi.number().min(0).allow(null).optional(),
+  cueOut: Joi.number().min(0).allow(null).optional(),
+  introEnd: Joi.number().min(0).allow(null).optional(),
+  outroStart: Joi.number().min(0).allow(null).optional(),
+  cueSource: Joi.any().strip() // Read-only, accepted so GET output can be sent back
+});
+
+/**
+ * Check cue points against each other and the file length
+ */
+function validateCues(cues, duration) {
+  const start = cues.cueIn || 0;
+  const end = cues.cueOut ?? duration;
+
+  if (duration) {
+    for (const [name, value] of Object.entries(cues)) {
+      if (typeof value === 'number' && value > duration) {
+        return `${name} is past the end of the file (${duration.toFixed(1)}s)`;
+      }
+    }
+  }
+  if (end !== null && end !== undefined && end <= start) {
+    return 'cueOut must be after cueIn';
+  }
+  if (cues.introEnd !== null && cues.introEnd !== undefined &&
+      (cues.introEnd < start || (end && cues.introEnd > end))) {
+    return 'introEnd must be between cueIn and cueOut';
+  }
+  if (cues.outroStart !== null && cues.outroStart !== undefined &&
+      (cues.outroStart < start || (end && cues.outroStart > end))) {
+    return 'outroStart must be between cueIn and cueOut';
+  }
+  return null;
+}
+
+const categorySchema = Joi.object({
+  category: Joi.string().valid(...MetadataService.FILE_CATEGORIES).allow(null).required()
+});
+
+// Expected plays per rotation pass (null = default of 1, 0 = keep out of rotation)
+const rotationSchema = Joi.object({
+  weight: Joi.number().min(0).max(10).allow(null).required()
+});
+
+// Descriptive and rights tags editable by hand (null clears a tag)
+const tagsUpdateSchema = Joi.object({
+  title: Joi.string().max(300).allow(null).optional(),
+  artist: Joi.string().max(300).allow(null).optional(),
+  album: Joi.string().max(300).allow(null).optional(),
+  isrc: Joi.string().pattern(/^[A-Z]{2}-?[A-Z0-9]{3}-?\d{2}-?\d{5}$/i).allow(null).optional(),
+  composer: Joi.string().max(300).allow(null).optional(),
+  label: Joi.string().max(300).allow(null).optional()
+}).min(1);
+
+// Bitrate and two-pass EBU R128 loudness normalization targets
+const encodingProfileSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required(),
+  name: Joi.string().max(100).required(),
+  bitrate: Joi.string().pattern(/^\d+k$/).allow(null).default(null),
+  loudnorm: Joi.object({
+    enabled: Joi.boolean().required(),
+    integratedLufs: Joi.number().min(-70).max(-5).default(-16),
+    truePeakDb: Joi.number().min(-9).max(0).default(-1.5),
+    lra: Joi.number().min(1).max(20).default(11)
+  }).required()
+});
+
+// Leading/trailing silence handling and encoding profiles for new encodes
+const encodingConfigSchema = Joi.object({
+  silenceTrim: Joi.string().valid('off', 'trim', 'cue').optional(),
+  silenceThresholdDb: Joi.number().min(-90).max(-10).optional(),
+  silenceMinDuration: Joi.number().min(0.1).max(30).optional(),
+  defaultProfile: Joi.string().optional(),
+  profiles: Joi.array().items(encodingProfileSchema).min(1).unique('id').optional()
+}).min(1);
+
+// Number of [min, max] points to return
+const waveformQuerySchema = Joi.object({
+  resolution: Joi.number().integer().min(10).max(20000).default(1000)
+});
+
+const spectrogramQuerySchema = Joi.object({
+  source: Joi.string().valid('encoded', 'original').optional(),
+  width: Joi.number().integer().min(256).max(4096).default(1024),
+  height: Joi.number().integer().min(128).max(2048).default(512),
+  mode: Joi.string().valid('combined', 'separate').default('combined')
+});
+
+const encodeSchema = Joi.object({
+  profile: Joi.string().optional()
+});
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -137,11 +239,13 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
 router.get('/', async (req, res) => {
   try {
     const { metadataService } = req.services;
-    const { status, search, limit = 50, offset = 0 } = req.query;
+    const { status, search, category, flagged, limit = 50, offset = 0 } = req.query;
     
     const filters = {};
     if (status) filters.status = status;
     if (search) filters.search = search;
+    if (category) filters.category = category === 'none' ? null : category;
+    if (flagged === 'true') filters.flagged = true;
     
     const files = await metadataService.getFiles(filters);
     
@@ -202,11 +306,44 @@ router.get('/:id', async (req, res) => {
 // POST /api/files/:id/encode - Manually trigger encoding
 router.post('/:id/encode', async (req, res) => {
   try {
-    const { ffmpegService } = req.services;
+    const { ffmpegService, metadataService } = req.services;
     const fileId = req.params.id;
+
+    const { error, value } = encodeSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid encoding request',
+        error: error.details[0].message
+      });
+    }
+
+    if (value.profile && !await metadataService.getEncodingProfile(value.profile)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown encoding profile',
+        error: `No encoding profile with ID ${value.profile}`
+      });
+    }
+
+    const file = await metadataService.getFile(fileId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Refused here: encodeFile() would refuse them in the background and mark the file failed
+    if (file.status === 'completed' || ffmpegService.activeJobs.has(fileId)) {
+      return res.status(409).json({
+        success: false,
+        message: file.status === 'completed' ? 'File is already encoded' : 'File is already being encoded'
+      });
+    }
     
     // Start encoding (async process)
-    ffmpegService.encodeFile(fileId).catch(error => {
+    ffmpegService.encodeFile(fileId, { profile: value.profile }).catch(error => {
       logger.error('Encoding failed in background:', error);
     });
     
@@ -287,12 +424,18 @@ router.post('/:id/cancel', async (req, res) => {
 // DELETE /api/files/:id - Delete file
 router.delete('/:id', async (req, res) => {
   try {
-    const { metadataService, ffmpegService } = req.services;
+    const { metadataService, ffmpegService, waveformService } = req.services;
     const fileId = req.params.id;
     
     // Cancel any active encoding first
     await ffmpegService.cancelEncoding(fileId);
     
+    // Drop the cached waveform along with the encoded file
+    const file = await metadataService.getFile(fileId);
+    if (file) {
+      await waveformService.removeCache(file);
+    }
+    
     // Delete file and metadata
     const deleted = await metadataService.deleteFile(fileId);
     
@@ -389,6 +532,508 @@ router.get('/:id/logs', async (req, res) => {
   }
 });
 
+// PUT /api/files/:id/transitions - Override radio transitions for a file
+router.put('/:id/transitions', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = transitionsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid transition data',
+        error: error.details[0].message
+      });
+    }
+
+    const transitions = { ...(file.transitions || {}), ...value };
+    const updatedFile = await metadataService.updateFile(file.id, { transitions });
+    
+    res.json({
+      success: true,
+      message: 'Transitions updated successfully',
+      transitions: updatedFile.transitions
+    });
+
+  } catch (error) {
+    logger.error('Failed to update file transitions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update file transitions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/files/:id/cues - Cue points and the length that goes on air
+router.get('/:id/cues', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      cues: file.cues || null,
+      duration: file.metadata?.duration || null,
+      cuedDuration: MetadataService.getCuedDuration(file)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get file cues:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get file cues',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/files/:id/cues - Set cue-in/out, intro end and outro start (no re-encoding)
+router.put('/:id/cues', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = cuesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cue points',
+        error: error.details[0].message
+      });
+    }
+
+    const cues = {
+      cueIn: null,
+      cueOut: null,
+      introEnd: null,
+      outroStart: null,
+      ...(file.cues || {}),
+      ...value
+    };
+    // Cues set here are no longer replaced by silence detection
+    cues.cueSource = { ...(cues.cueSource || {}) };
+    for (const name of ['cueIn', 'cueOut']) {
+      if (name in value) {
+        cues.cueSource[name] = 'manual';
+      }
+    }
+    const cueError = validateCues(cues, file.metadata?.duration || null);
+    if (cueError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cue points',
+        error: cueError
+      });
+    }
+
+    const updatedFile = await metadataService.updateFile(file.id, { cues });
+    
+    res.json({
+      success: true,
+      message: 'Cue points updated successfully',
+      cues: updatedFile.cues,
+      cuedDuration: MetadataService.getCuedDuration(updatedFile)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update file cues:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update file cues',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/files/:id/waveform - Waveform peaks of the encoded file
+router.get('/:id/waveform', async (req, res) => {
+  try {
+    const { metadataService, waveformService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = waveformQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waveform request',
+        error: error.details[0].message
+      });
+    }
+
+    if (file.status !== 'completed' || !file.encodedPath || !await fs.pathExists(file.encodedPath)) {
+      return res.status(409).json({
+        success: false,
+        message: 'File is not encoded yet'
+      });
+    }
+
+    const waveform = await waveformService.getWaveform(file, value.resolution);
+    
+    res.json({
+      success: true,
+      waveform
+    });
+
+  } catch (error) {
+    logger.error('Failed to get waveform:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get waveform',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/files/:id/probe - ffprobe report of the original and encoded file
+router.get('/:id/probe', async (req, res) => {
+  try {
+    const { metadataService, ffmpegService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // One side failing (missing, unreadable) doesn't hide the other
+    const probe = async (filePath) => {
+      if (!filePath) {
+        return null;
+      }
+      if (!await fs.pathExists(filePath)) {
+        return { path: path.basename(filePath), error: 'File not found on disk' };
+      }
+      try {
+        return { path: path.basename(filePath), ...await ffmpegService.probeFile(filePath) };
+      } catch (error) {
+        return { path: path.basename(filePath), error: error.message };
+      }
+    };
+
+    const original = await probe(file.originalPath);
+    const encoded = file.encodedPath && file.encodedPath !== file.originalPath
+      ? await probe(file.encodedPath)
+      : (file.encodedPath ? original : null);
+    
+    res.json({
+      success: true,
+      probe: { original, encoded }
+    });
+
+  } catch (error) {
+    logger.error('Failed to probe file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to probe file',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/files/:id/spectrogram.png - Rendered spectrogram image
+router.get('/:id/spectrogram.png', async (req, res) => {
+  try {
+    const { metadataService, ffmpegService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = spectrogramQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid spectrogram request',
+        error: error.details[0].message
+      });
+    }
+
+    // Encoded file by default, the upload until it is encoded
+    const source = value.source || (file.encodedPath ? 'encoded' : 'original');
+    const filePath = source === 'encoded' ? file.encodedPath : file.originalPath;
+    if (!filePath || !await fs.pathExists(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: source === 'encoded' ? 'Encoded file not found' : 'Original file not found'
+      });
+    }
+
+    // Stop rendering if the client gives up waiting
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const image = await ffmpegService.renderSpectrogram(filePath, {
+      width: value.width,
+      height: value.height,
+      mode: value.mode,
+      signal: controller.signal
+    });
+
+    res.set({
+      'Content-Type': 'image/png',
+      'Content-Length': image.length,
+      'Cache-Control': 'no-cache'
+    });
+    res.send(image);
+
+  } catch (error) {
+    if (res.headersSent || res.destroyed) {
+      return;
+    }
+    logger.error('Failed to render spectrogram:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render spectrogram',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/files/:id/analysis - Get audio analysis report
+router.get('/:id/analysis', async (req, res) => {
+  try {
+    const { metadataService, audioAnalysisService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!file.analysis) {
+      return res.status(404).json({
+        success: false,
+        message: audioAnalysisService.isAnalyzing(file.id)
+          ? 'File is being analyzed'
+          : 'File has not been analyzed'
+      });
+    }
+
+    res.json({
+      success: true,
+      analysis: file.analysis
+    });
+
+  } catch (error) {
+    logger.error('Failed to get file analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get file analysis',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/files/:id/analysis - Analyze a file now
+router.post('/:id/analysis', async (req, res) => {
+  try {
+    const { metadataService, audioAnalysisService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (file.status === 'encoding' || audioAnalysisService.isAnalyzing(file.id)) {
+      return res.status(409).json({
+        success: false,
+        message: file.status === 'encoding' ? 'File is being encoded' : 'File is already being analyzed'
+      });
+    }
+
+    const analysis = await audioAnalysisService.analyzeFile(file.id);
+    
+    res.json({
+      success: true,
+      message: 'File analyzed successfully',
+      analysis
+    });
+
+  } catch (error) {
+    logger.error('Failed to analyze file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyze file',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/files/:id/category - Mark file as jingle, station ID or promo
+router.put('/:id/category', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = categorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category',
+        error: error.details[0].message
+      });
+    }
+
+    const updatedFile = await metadataService.updateFile(file.id, { category: value.category });
+    
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category: updatedFile.category
+    });
+
+  } catch (error) {
+    logger.error('Failed to update file category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update file category',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/files/:id/rotation - Set rotation weight
+router.put('/:id/rotation', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = rotationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rotation weight',
+        error: error.details[0].message
+      });
+    }
+
+    const updatedFile = await metadataService.updateFile(file.id, { rotationWeight: value.weight });
+    
+    res.json({
+      success: true,
+      message: 'Rotation weight updated successfully',
+      rotationWeight: updatedFile.rotationWeight,
+      lastPlayedAt: updatedFile.lastPlayedAt || null,
+      playCount: updatedFile.playCount || 0
+    });
+
+  } catch (error) {
+    logger.error('Failed to update rotation weight:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update rotation weight',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/files/:id/tags - Correct title/artist/album and rights metadata
+router.put('/:id/tags', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const file = await metadataService.getFile(req.params.id);
+    
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { error, value } = tagsUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tags',
+        error: error.details[0].message
+      });
+    }
+
+    if (value.isrc) {
+      value.isrc = value.isrc.replace(/-/g, '').toUpperCase();
+    }
+
+    // Tags set here are no longer replaced when the file is read again (re-encode, retry)
+    const tagSource = { ...(file.metadata?.tagSource || {}) };
+    for (const name of Object.keys(value)) {
+      tagSource[name] = 'manual';
+    }
+
+    const updatedFile = await metadataService.updateFile(file.id, {
+      metadata: { ...file.metadata, ...value, tagSource }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Tags updated successfully',
+      metadata: updatedFile.metadata
+    });
+
+  } catch (error) {
+    logger.error('Failed to update file tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update file tags',
+      error: error.message
+    });
+  }
+});
+
 // NEW: POST /api/files/import - Manually import files from directory
 router.post('/import', async (req, res) => {
   try {
@@ -491,6 +1136,115 @@ router.post('/import/config', async (req, res) => {
   }
 });
 
+// GET /api/files/encoding/config - Get encoding configuration
+router.get('/encoding/config', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const config = await metadataService.getEncodingConfig();
+    
+    res.json({
+      success: true,
+      config
+    });
+
+  } catch (error) {
+    logger.error('Failed to get encoding configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get encoding configuration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/files/encoding/config - Update encoding configuration
+router.post('/encoding/config', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const { error, value } = encodingConfigSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid encoding configuration',
+        error: error.details[0].message
+      });
+    }
+
+    const current = await metadataService.getEncodingConfig();
+    const profiles = value.profiles || current.profiles;
+    const defaultProfile = value.defaultProfile || current.defaultProfile;
+    if (!profiles.some(p => p.id === defaultProfile)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid encoding configuration',
+        error: `Default profile ${defaultProfile} is not in the profile list`
+      });
+    }
+
+    const config = await metadataService.updateEncodingConfig(value);
+    
+    res.json({
+      success: true,
+      message: 'Encoding configuration updated successfully',
+      config
+    });
+
+  } catch (error) {
+    logger.error('Failed to update encoding configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update encoding configuration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/files/analysis/library - Analyze encoded files in the background
+router.post('/analysis/library', async (req, res) => {
+  try {
+    const { audioAnalysisService } = req.services;
+    const force = req.body?.force === true;
+
+    const queued = await audioAnalysisService.analyzeLibrary({ force });
+    
+    res.json({
+      success: true,
+      message: queued > 0 ? `${queued} files queued for analysis` : 'No files need analysis',
+      queued,
+      status: audioAnalysisService.getStatus()
+    });
+
+  } catch (error) {
+    logger.error('Failed to start library analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start library analysis',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/files/analysis/status - Analysis queue status
+router.get('/analysis/status', async (req, res) => {
+  try {
+    const { audioAnalysisService } = req.services;
+    
+    res.json({
+      success: true,
+      status: audioAnalysisService.getStatus()
+    });
+
+  } catch (error) {
+    logger.error('Failed to get analysis status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get analysis status',
+      error: error.message
+    });
+  }
+});
+
 // NEW: POST /api/files/batch-encode - Trigger batch encoding
 router.post('/batch-encode', async (req, res) => {
   try {
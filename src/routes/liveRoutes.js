@@ -0,0 +1,70 @@
+// src/routes/liveRoutes.js - Live feed ingest, served on its own port (LIVE_PORT)
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Live feed push (the request body is the audio)
+const liveQuerySchema = Joi.object({
+  presenter: Joi.string().min(1).max(100).optional()
+});
+
+// POST /api/radio/live - Push a live feed (any audio FFmpeg reads, e.g. Ogg).
+// The automation pauses; the response is sent when the takeover ends.
+router.post('/live', async (req, res) => {
+  try {
+    const { radioService, metadataService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const { error, value } = liveQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid live request',
+        error: error.details[0].message
+      });
+    }
+
+    const config = await metadataService.getRadioConfig();
+    const key = req.get('X-Live-Key') || '';
+    if (config.liveStreamKey && key !== config.liveStreamKey) {
+      logger.warn('Live feed rejected: wrong stream key', { client: req.ip });
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid live stream key'
+      });
+    }
+
+    logger.info('Live takeover requested via API', { presenter: value.presenter, client: req.ip });
+    const result = await radioService.live.takeover(req, { presenter: value.presenter });
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    const { reason, durationMs } = await result.ended;
+    res.json({
+      success: true,
+      message: 'Live source ended',
+      reason,
+      durationMs
+    });
+
+  } catch (error) {
+    logger.error('Failed to take over with live source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to take over with live source',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,458 @@
+// src/routes/playlistRoutes.js - Named playlist management endpoints
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const MetadataService = require('../services/MetadataService');
+
+const router = express.Router();
+
+// Validation schemas
+const playlistCreateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().allow('').max(500).optional(),
+  fileIds: Joi.array().items(Joi.string()).default([])
+});
+
+const playlistUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  description: Joi.string().allow('').max(500).optional()
+}).min(1);
+
+const itemsReplaceSchema = Joi.object({
+  fileIds: Joi.array().items(Joi.string()).required()
+});
+
+const itemsAddSchema = Joi.object({
+  fileIds: Joi.array().items(Joi.string()).min(1).required(),
+  position: Joi.number().integer().min(0).optional()
+});
+
+const duplicateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional()
+});
+
+const activeSchema = Joi.object({
+  playlistId: Joi.string().allow(null).required()
+});
+
+/**
+ * Return the IDs that do not match a file record
+ */
+async function findUnknownFiles(metadataService, fileIds) {
+  const unknown = [];
+  for (const fileId of fileIds) {
+    if (!await metadataService.getFile(fileId)) {
+      unknown.push(fileId);
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Playlist with its items resolved to file summaries
+ */
+async function describePlaylist(metadataService, playlist) {
+  const files = await metadataService.getPlaylistFiles(playlist.id);
+  const totalDuration = files.reduce((sum, file) => sum + (MetadataService.getCuedDuration(file) || 0), 0);
+
+  return {
+    ...playlist,
+    files: files.map(file => ({
+      id: file.id,
+      originalName: file.originalName,
+      status: file.status,
+      category: file.category || null,
+      metadata: file.metadata
+    })),
+    totalDuration
+  };
+}
+
+// GET /api/playlists - List playlists
+router.get('/', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const playlists = await metadataService.getPlaylists();
+    const config = await metadataService.getRadioConfig();
+
+    res.json({
+      success: true,
+      playlists: playlists.map(playlist => ({
+        ...playlist,
+        itemCount: playlist.items.length,
+        active: playlist.id === config.activePlaylistId
+      })),
+      activePlaylistId: config.activePlaylistId || null
+    });
+
+  } catch (error) {
+    logger.error('Failed to list playlists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list playlists',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/playlists - Create playlist
+router.post('/', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const { error, value } = playlistCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid playlist data',
+        error: error.details[0].message
+      });
+    }
+
+    const unknown = await findUnknownFiles(metadataService, value.fileIds);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown files in playlist',
+        unknownFileIds: unknown
+      });
+    }
+
+    const playlist = await metadataService.addPlaylist({
+      name: value.name,
+      description: value.description,
+      items: value.fileIds
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Playlist created successfully',
+      playlist
+    });
+
+  } catch (error) {
+    logger.error('Failed to create playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create playlist',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/playlists/active - Get the playlist the radio runs
+router.get('/active', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const config = await metadataService.getRadioConfig();
+    const playlist = config.activePlaylistId
+      ? await metadataService.getPlaylist(config.activePlaylistId)
+      : null;
+
+    res.json({
+      success: true,
+      activePlaylistId: playlist ? playlist.id : null,
+      playlist: playlist ? await describePlaylist(metadataService, playlist) : null
+    });
+
+  } catch (error) {
+    logger.error('Failed to get active playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get active playlist',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/playlists/active - Select the playlist the radio runs (null = whole library)
+router.put('/active', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const { error, value } = activeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request data',
+        error: error.details[0].message
+      });
+    }
+
+    const result = await radioService.selectPlaylist(value.playlistId);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Active playlist selected',
+        activePlaylistId: result.activePlaylistId
+      });
+    } else {
+      res.status(result.message === 'Playlist not found' ? 404 : 400).json(result);
+    }
+
+  } catch (error) {
+    logger.error('Failed to select active playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to select active playlist',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/playlists/:id - Get playlist with its files
+router.get('/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const playlist = await metadataService.getPlaylist(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      playlist: await describePlaylist(metadataService, playlist)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get playlist',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/playlists/:id - Rename playlist or change its description
+router.put('/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    if (!await metadataService.getPlaylist(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    const { error, value } = playlistUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid playlist data',
+        error: error.details[0].message
+      });
+    }
+
+    const playlist = await metadataService.updatePlaylist(req.params.id, value);
+
+    res.json({
+      success: true,
+      message: 'Playlist updated successfully',
+      playlist
+    });
+
+  } catch (error) {
+    logger.error('Failed to update playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update playlist',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/playlists/:id/items - Replace or reorder playlist items
+router.put('/:id/items', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    if (!await metadataService.getPlaylist(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    const { error, value } = itemsReplaceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid playlist items',
+        error: error.details[0].message
+      });
+    }
+
+    const unknown = await findUnknownFiles(metadataService, value.fileIds);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown files in playlist',
+        unknownFileIds: unknown
+      });
+    }
+
+    const playlist = await metadataService.updatePlaylist(req.params.id, { items: value.fileIds });
+
+    res.json({
+      success: true,
+      message: 'Playlist items updated successfully',
+      playlist
+    });
+
+  } catch (error) {
+    logger.error('Failed to update playlist items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update playlist items',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/playlists/:id/items - Add files to playlist (at end or at position)
+router.post('/:id/items', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const existing = await metadataService.getPlaylist(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    const { error, value } = itemsAddSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid playlist items',
+        error: error.details[0].message
+      });
+    }
+
+    const unknown = await findUnknownFiles(metadataService, value.fileIds);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown files in playlist',
+        unknownFileIds: unknown
+      });
+    }
+
+    const items = [...existing.items];
+    const position = value.position !== undefined ? Math.min(value.position, items.length) : items.length;
+    items.splice(position, 0, ...value.fileIds);
+
+    const playlist = await metadataService.updatePlaylist(req.params.id, { items });
+
+    res.json({
+      success: true,
+      message: `${value.fileIds.length} items added to playlist`,
+      playlist
+    });
+
+  } catch (error) {
+    logger.error('Failed to add playlist items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add playlist items',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/playlists/:id/duplicate - Copy playlist
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    if (!await metadataService.getPlaylist(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    const { error, value } = duplicateSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid playlist data',
+        error: error.details[0].message
+      });
+    }
+
+    const playlist = await metadataService.duplicatePlaylist(req.params.id, value.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Playlist duplicated successfully',
+      playlist
+    });
+
+  } catch (error) {
+    logger.error('Failed to duplicate playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to duplicate playlist',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/playlists/:id - Delete playlist
+router.delete('/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    // Scheduled programs must not lose their source
+    const schedule = await metadataService.getSchedule();
+    const programs = schedule.programs.filter(p => p.source === 'playlist' && p.playlistId === req.params.id);
+    if (programs.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Playlist is used by scheduled programs',
+        programs: programs.map(p => ({ id: p.id, name: p.name }))
+      });
+    }
+
+    const deleted = await metadataService.deletePlaylist(req.params.id);
+
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Playlist deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+  } catch (error) {
+    logger.error('Failed to delete playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete playlist',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
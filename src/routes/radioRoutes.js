@@ -2,6 +2,9 @@
 const express = require('express');
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const MetadataService = require('../services/MetadataService');
+const { AUDIOBRIDGE_ERRORS } = require('../services/JanusService');
+const { toCsv } = require('../utils/csv');
 
 const router = express.Router();
 
@@ -13,20 +16,190 @@ const playlistUpdateSchema = Joi.object({
   })).required()
 });
 
+// One Janus gateway in the failover list (same keys as the top-level settings)
+const janusEndpointSchema = Joi.object({
+  name: Joi.string().max(100).allow('').optional(),
+  janusIP: Joi.string().ip().required(),
+  janusPort: Joi.string().pattern(/^\d+$/).optional(),
+  janusTransport: Joi.string().valid('http', 'websocket').optional(),
+  janusWsPort: Joi.string().pattern(/^\d+$/).optional(),
+  janusRoomId: Joi.string().pattern(/^\d+$/).required(),
+  janusRoomSecret: Joi.string().allow('').optional(),
+  janusRoomPin: Joi.string().allow('').optional()
+});
+
+// Extra AudioBridge room the stream is also sent to
+const outputTargetSchema = janusEndpointSchema.keys({
+  enabled: Joi.boolean().optional()
+});
+
+const outputTargetUpdateSchema = outputTargetSchema.fork(['janusIP', 'janusRoomId'], field => field.optional()).min(1);
+
 const configUpdateSchema = Joi.object({
   janusIP: Joi.string().ip().optional(),
   janusPort: Joi.string().pattern(/^\d+$/).optional(),
+  janusTransport: Joi.string().valid('http', 'websocket').optional(),
+  janusWsPort: Joi.string().pattern(/^\d+$/).optional(),
+  janusReconnectAttempts: Joi.number().integer().min(0).max(100).optional(),
+  janusReconnectBackoffInitial: Joi.number().min(1).max(600).optional(),
+  janusReconnectBackoffMax: Joi.number().min(1).max(3600).optional(),
+  janusEndpoints: Joi.array().items(janusEndpointSchema).max(10).optional(),
+  janusFailback: Joi.boolean().optional(),
+  janusFailbackCheckSeconds: Joi.number().min(5).max(3600).optional(),
   janusRoomId: Joi.string().pattern(/^\d+$/).optional(),
   janusParticipantName: Joi.string().min(1).max(50).optional(),
   janusRoomSecret: Joi.string().allow('').optional(),
   janusRoomPin: Joi.string().allow('').optional(),
+  janusAdminKey: Joi.string().allow('').optional(),
   maxConsecutiveSkips: Joi.number().min(1).max(20).optional(),
-  autoRestart: Joi.boolean().optional()
+  autoRestart: Joi.boolean().optional(),
+  supervisorBackoffInitial: Joi.number().min(1).max(600).optional(),
+  supervisorBackoffMax: Joi.number().min(1).max(3600).optional(),
+  supervisorMaxRestartsPerHour: Joi.number().integer().min(1).max(60).optional(),
+  resumePlayback: Joi.boolean().optional(),
+  deadAirStallSeconds: Joi.number().min(0).max(120).optional(),
+  deadAirSilenceSeconds: Joi.number().min(0).max(600).optional(),
+  deadAirSilenceThresholdDb: Joi.number().min(-90).max(0).optional(),
+  deadAirAction: Joi.string().valid('skip', 'restart', 'none').optional(),
+  deadAirRestartSeconds: Joi.number().min(0).max(3600).optional(),
+  fallbackPlaylistId: Joi.string().allow(null).optional(),
+  fallbackFileId: Joi.string().allow(null).optional(),
+  fallbackRecheckSeconds: Joi.number().min(5).max(3600).optional(),
+  liveStreamKey: Joi.string().allow('').max(200).optional(),
+  liveTimeoutSeconds: Joi.number().min(1).max(120).optional(),
+  crossfadeDuration: Joi.number().min(0).max(30).optional(),
+  fadeInDuration: Joi.number().min(0).max(30).optional(),
+  fadeOutDuration: Joi.number().min(0).max(30).optional(),
+  rotationArtistSeparation: Joi.number().integer().min(0).max(50).optional(),
+  rotationAlbumSeparation: Joi.number().integer().min(0).max(50).optional(),
+  rotationTitleSeparation: Joi.number().integer().min(0).max(100).optional(),
+  rotationRepeatWindowHours: Joi.number().min(0).max(168).optional(),
+  historyRetentionDays: Joi.number().integer().min(0).max(3650).optional()
+});
+
+// AudioBridge room admin schemas
+const roomCreateSchema = Joi.object({
+  room: Joi.number().integer().min(1).optional(),
+  description: Joi.string().max(200).allow('').optional(),
+  secret: Joi.string().max(100).allow('').optional(),
+  pin: Joi.string().max(100).allow('').optional(),
+  samplingRate: Joi.number().valid(8000, 16000, 24000, 48000).default(48000),
+  isPrivate: Joi.boolean().default(false),
+  permanent: Joi.boolean().default(false),
+  setAsStationRoom: Joi.boolean().default(false)
+});
+
+const participantMuteSchema = Joi.object({
+  muted: Joi.boolean().default(true),
+  secret: Joi.string().max(100).allow('').optional()
+});
+
+const participantKickSchema = Joi.object({
+  secret: Joi.string().max(100).allow('').optional()
+});
+
+// Schedule schemas
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const programSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().allow('').max(500).optional(),
+  source: Joi.string().valid('library', 'files', 'playlist').default('library'),
+  fileIds: Joi.array().items(Joi.string()).when('source', {
+    is: 'files',
+    then: Joi.array().min(1).required(),
+    otherwise: Joi.optional()
+  }),
+  playlistId: Joi.string().when('source', {
+    is: 'playlist',
+    then: Joi.required(),
+    otherwise: Joi.optional().allow(null)
+  }),
+  shuffle: Joi.boolean().optional()
+});
+
+const programUpdateSchema = programSchema.fork(['name'], field => field.optional())
+  .fork(['source'], () => Joi.string().valid('library', 'files', 'playlist').optional())
+  .min(1);
+
+const slotSchema = Joi.object({
+  programId: Joi.string().required(),
+  days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+  startTime: Joi.string().pattern(timePattern).required(),
+  endTime: Joi.string().pattern(timePattern).required(),
+  enabled: Joi.boolean().optional()
+});
+
+const slotUpdateSchema = slotSchema.fork(['programId', 'days', 'startTime', 'endTime'], field => field.optional()).min(1);
+
+// Insertion rule schemas
+const ruleSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  category: Joi.string().valid(...MetadataService.FILE_CATEGORIES).required(),
+  trigger: Joi.string().valid('every_n_tracks', 'every_n_minutes', 'top_of_hour').required(),
+  interval: Joi.number().integer().min(1).max(1440).when('trigger', {
+    is: 'top_of_hour',
+    then: Joi.optional().allow(null),
+    otherwise: Joi.required()
+  }),
+  enabled: Joi.boolean().optional()
+});
+
+const ruleUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  category: Joi.string().valid(...MetadataService.FILE_CATEGORIES).optional(),
+  trigger: Joi.string().valid('every_n_tracks', 'every_n_minutes', 'top_of_hour').optional(),
+  interval: Joi.number().integer().min(1).max(1440).allow(null).optional(),
+  enabled: Joi.boolean().optional()
+}).min(1);
+
+// Play history query (CSV exports the whole range, JSON is paginated)
+const historyQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('from'))
+  }).optional(),
+  at: Joi.date().iso().optional(),
+  fileId: Joi.string().optional(),
+  endReason: Joi.string().valid('natural', 'skip', 'error', 'stop', 'live', 'interrupted').optional(),
+  inserted: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const historyCsvColumns = [
+  { header: 'Started At', value: 'startedAt' },
+  { header: 'Ended At', value: 'endedAt' },
+  { header: 'Duration Played (s)', value: e => e.durationPlayed !== null ? e.durationPlayed.toFixed(1) : '' },
+  { header: 'Track Duration (s)', value: e => e.trackDuration ? e.trackDuration.toFixed(1) : '' },
+  { header: 'End Reason', value: 'endReason' },
+  { header: 'Skipped By', value: e => e.skippedBy ? [e.skippedBy.name, e.skippedBy.via, e.skippedBy.client].filter(Boolean).join(' / ') : '' },
+  { header: 'Title', value: 'title' },
+  { header: 'Artist', value: 'artist' },
+  { header: 'Album', value: 'album' },
+  { header: 'File Name', value: 'originalName' },
+  { header: 'File ID', value: 'fileId' },
+  { header: 'Category', value: 'category' },
+  { header: 'Program', value: 'programName' }
+];
+
+// Play-next queue
+const queueItemSchema = Joi.object({
+  fileId: Joi.string().required(),
+  position: Joi.string().valid('next', 'end').default('end'),
+  at: Joi.date().iso().optional() // Not before this time
+});
+
+const queueOrderSchema = Joi.object({
+  itemIds: Joi.array().items(Joi.string()).required()
 });
 
 // FIXED: Start request with optional config
 const startRequestSchema = Joi.object({
-  config: configUpdateSchema.optional()
+  config: configUpdateSchema.optional(),
+  resume: Joi.boolean().optional() // false = start the playlist from the top
 });
 
 // GET /api/radio/status - Get current radio status
@@ -90,12 +263,12 @@ router.post('/start', async (req, res) => {
 
     // Update config if provided
     if (value.config) {
-      logger.info('Updating Janus config before starting radio', value.config);
+      logger.info('Updating Janus config before starting radio', hideConfigSecrets(value.config));
       await metadataService.updateRadioConfig(value.config);
     }
 
     logger.info('Radio start requested via API');
-    const result = await radioService.start();
+    const result = await radioService.start({ resume: value.resume });
     
     if (result.success) {
       res.json(result);
@@ -157,7 +330,11 @@ router.post('/skip', async (req, res) => {
     }
 
     logger.info('Radio skip requested via API');
-    const result = await radioService.skip();
+    const result = await radioService.skip({
+      via: 'api',
+      client: req.ip,
+      name: req.body?.requestedBy || null
+    });
     
     if (result.success) {
       res.json(result);
@@ -187,7 +364,7 @@ router.post('/playlist/refresh', async (req, res) => {
       });
     }
 
-    const { shuffle = true } = req.body;
+    const { shuffle } = req.body;
     
     logger.info('Playlist refresh requested via API', { shuffle });
     const result = await radioService.refreshPlaylist(shuffle);
@@ -302,6 +479,23 @@ router.get('/playlist', async (req, res) => {
   }
 });
 
+// Config keys that are never sent back or logged, only whether they are set
+const SECRET_CONFIG_KEYS = ['liveStreamKey', 'janusAdminKey'];
+
+/**
+ * Config with each secret replaced by a <key>Set flag
+ */
+function hideConfigSecrets(config) {
+  const visible = { ...config };
+  for (const key of SECRET_CONFIG_KEYS) {
+    if (key in visible) {
+      visible[`${key}Set`] = !!visible[key];
+      delete visible[key];
+    }
+  }
+  return visible;
+}
+
 // GET /api/radio/config - Get radio configuration
 router.get('/config', async (req, res) => {
   try {
@@ -318,16 +512,47 @@ router.get('/config', async (req, res) => {
     
     res.json({
       success: true,
-      config: {
+      config: hideConfigSecrets({
         janusIP: config?.janusIP || '185.80.51.95',
         janusPort: config?.janusPort || '8088',
+        janusTransport: config?.janusTransport || 'http',
+        janusWsPort: config?.janusWsPort || '8188',
+        janusReconnectAttempts: config?.janusReconnectAttempts ?? 10,
+        janusReconnectBackoffInitial: config?.janusReconnectBackoffInitial ?? 2,
+        janusReconnectBackoffMax: config?.janusReconnectBackoffMax ?? 60,
+        janusEndpoints: config?.janusEndpoints || [],
+        janusFailback: config?.janusFailback || false,
+        janusFailbackCheckSeconds: config?.janusFailbackCheckSeconds ?? 60,
         janusRoomId: config?.janusRoomId || '3183360752998701',
         janusParticipantName: config?.janusParticipantName || 'RadioStation',
         janusRoomSecret: config?.janusRoomSecret || '',
         janusRoomPin: config?.janusRoomPin || '',
+        janusAdminKey: config?.janusAdminKey || '',
         maxConsecutiveSkips: config?.maxConsecutiveSkips || 5,
-        autoRestart: config?.autoRestart || false
-      }
+        autoRestart: config?.autoRestart || false,
+        supervisorBackoffInitial: config?.supervisorBackoffInitial ?? 5,
+        supervisorBackoffMax: config?.supervisorBackoffMax ?? 300,
+        supervisorMaxRestartsPerHour: config?.supervisorMaxRestartsPerHour ?? 10,
+        resumePlayback: config?.resumePlayback !== false,
+        deadAirStallSeconds: config?.deadAirStallSeconds ?? 5,
+        deadAirSilenceSeconds: config?.deadAirSilenceSeconds ?? 0,
+        deadAirSilenceThresholdDb: config?.deadAirSilenceThresholdDb ?? -50,
+        deadAirAction: config?.deadAirAction || 'skip',
+        deadAirRestartSeconds: config?.deadAirRestartSeconds ?? 30,
+        fallbackPlaylistId: config?.fallbackPlaylistId || null,
+        fallbackFileId: config?.fallbackFileId || null,
+        fallbackRecheckSeconds: config?.fallbackRecheckSeconds ?? 60,
+        liveStreamKey: config?.liveStreamKey || '',
+        liveTimeoutSeconds: config?.liveTimeoutSeconds ?? 5,
+        crossfadeDuration: config?.crossfadeDuration || 0,
+        fadeInDuration: config?.fadeInDuration || 0,
+        fadeOutDuration: config?.fadeOutDuration || 0,
+        rotationArtistSeparation: config?.rotationArtistSeparation ?? 3,
+        rotationAlbumSeparation: config?.rotationAlbumSeparation ?? 2,
+        rotationTitleSeparation: config?.rotationTitleSeparation ?? 10,
+        rotationRepeatWindowHours: config?.rotationRepeatWindowHours ?? 0,
+        historyRetentionDays: config?.historyRetentionDays ?? 400
+      })
     });
 
   } catch (error) {
@@ -362,13 +587,29 @@ router.post('/config', async (req, res) => {
       });
     }
 
-    logger.info('Radio config update requested via API', value);
+    // The fallback source must exist
+    if (value.fallbackPlaylistId && !await metadataService.getPlaylist(value.fallbackPlaylistId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid configuration data',
+        error: 'Fallback playlist not found'
+      });
+    }
+    if (value.fallbackFileId && !await metadataService.getFile(value.fallbackFileId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid configuration data',
+        error: 'Fallback file not found'
+      });
+    }
+
+    logger.info('Radio config update requested via API', hideConfigSecrets(value));
     const updatedConfig = await metadataService.updateRadioConfig(value);
     
     res.json({
       success: true,
       message: 'Radio configuration updated successfully',
-      config: updatedConfig
+      config: hideConfigSecrets(updatedConfig)
     });
 
   } catch (error) {
@@ -381,53 +622,1129 @@ router.post('/config', async (req, res) => {
   }
 });
 
-// GET /api/radio/health - Radio service health check
-router.get('/health', async (req, res) => {
+// GET /api/radio/schedule - Get programs, slots and what is on air now
+router.get('/schedule', async (req, res) => {
   try {
-    const { radioService } = req.services;
+    const { radioService, metadataService } = req.services;
     
     if (!radioService) {
       return res.status(503).json({
         success: false,
-        message: 'Radio service not available',
-        healthy: false
+        message: 'Radio service not available'
       });
     }
 
-    const status = await radioService.getStatus();
+    const schedule = await metadataService.getSchedule();
+    const active = await radioService.scheduleService.getActiveSlot();
+
+    res.json({
+      success: true,
+      schedule,
+      activeSlot: active?.slot || null,
+      activeProgram: active?.program || null
+    });
+
+  } catch (error) {
+    logger.error('Failed to get schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get schedule',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/schedule/programs - Create program
+router.post('/schedule/programs', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const { error, value } = programSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid program data',
+        error: error.details[0].message
+      });
+    }
+
+    if (value.source === 'playlist' && !await metadataService.getPlaylist(value.playlistId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    const program = await metadataService.addScheduleProgram(value);
     
-    const health = {
-      healthy: !status.error,
-      service: 'RadioService',
-      status: status.isRunning ? 'running' : 'stopped',
-      uptime: status.uptime || 0,
-      playlist: {
-        size: status.playlistSize || 0,
-        currentIndex: status.currentIndex || 0
-      },
-      process: {
-        pid: status.processId,
-        skipCount: status.skipCount || 0
-      },
-      target: status.target,
-      timestamp: new Date().toISOString()
-    };
+    res.status(201).json({
+      success: true,
+      message: 'Program created successfully',
+      program
+    });
 
-    if (status.error) {
-      health.error = status.error;
+  } catch (error) {
+    logger.error('Failed to create program:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create program',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/radio/schedule/programs/:id - Update program
+router.put('/schedule/programs/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const existing = await metadataService.getScheduleProgram(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const { error, value } = programUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid program data',
+        error: error.details[0].message
+      });
+    }
+
+    const merged = { ...existing, ...value };
+    if (merged.source === 'playlist' && !await metadataService.getPlaylist(merged.playlistId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
     }
 
+    const program = await metadataService.updateScheduleProgram(req.params.id, value);
+    
     res.json({
       success: true,
-      health
+      message: 'Program updated successfully',
+      program
     });
 
   } catch (error) {
-    logger.error('Radio health check failed:', error);
+    logger.error('Failed to update program:', error);
     res.status(500).json({
       success: false,
-      message: 'Radio health check failed',
-      healthy: false,
+      message: 'Failed to update program',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/schedule/programs/:id - Delete program and its slots
+router.delete('/schedule/programs/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const deleted = await metadataService.deleteScheduleProgram(req.params.id);
+    
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Program deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+  } catch (error) {
+    logger.error('Failed to delete program:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete program',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/schedule/slots - Bind a program to a weekly time slot
+router.post('/schedule/slots', async (req, res) => {
+  try {
+    const { radioService, metadataService } = req.services;
+    
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const { error, value } = slotSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot data',
+        error: error.details[0].message
+      });
+    }
+
+    if (value.startTime === value.endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slot start and end time must differ'
+      });
+    }
+
+    if (!await metadataService.getScheduleProgram(value.programId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const conflicts = await radioService.scheduleService.findConflicts(value);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slot overlaps existing schedule slots',
+        conflicts
+      });
+    }
+
+    const slot = await metadataService.addScheduleSlot(value);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Slot created successfully',
+      slot
+    });
+
+  } catch (error) {
+    logger.error('Failed to create slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create slot',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/radio/schedule/slots/:id - Update slot
+router.put('/schedule/slots/:id', async (req, res) => {
+  try {
+    const { radioService, metadataService } = req.services;
+    
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const existing = await metadataService.getScheduleSlot(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    const { error, value } = slotUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slot data',
+        error: error.details[0].message
+      });
+    }
+
+    const merged = { ...existing, ...value };
+
+    if (merged.startTime === merged.endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slot start and end time must differ'
+      });
+    }
+
+    if (value.programId && !await metadataService.getScheduleProgram(value.programId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const conflicts = await radioService.scheduleService.findConflicts(merged);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slot overlaps existing schedule slots',
+        conflicts
+      });
+    }
+
+    const slot = await metadataService.updateScheduleSlot(req.params.id, value);
+    
+    res.json({
+      success: true,
+      message: 'Slot updated successfully',
+      slot
+    });
+
+  } catch (error) {
+    logger.error('Failed to update slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update slot',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/schedule/slots/:id - Delete slot
+router.delete('/schedule/slots/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const deleted = await metadataService.deleteScheduleSlot(req.params.id);
+    
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Slot deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+  } catch (error) {
+    logger.error('Failed to delete slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete slot',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/categories - Insertion categories with their playable items
+router.get('/categories', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const categories = [];
+    for (const category of MetadataService.FILE_CATEGORIES) {
+      const files = await metadataService.getFiles({ status: 'completed', category });
+      categories.push({ category, count: files.length });
+    }
+
+    res.json({
+      success: true,
+      categories
+    });
+
+  } catch (error) {
+    logger.error('Failed to get categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get categories',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/rules - List insertion rules
+router.get('/rules', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+    const rules = await metadataService.getInsertionRules();
+
+    res.json({
+      success: true,
+      rules
+    });
+
+  } catch (error) {
+    logger.error('Failed to get insertion rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get insertion rules',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/rules - Create insertion rule
+router.post('/rules', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule data',
+        error: error.details[0].message
+      });
+    }
+
+    const rule = await metadataService.addInsertionRule(value);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Insertion rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    logger.error('Failed to create insertion rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create insertion rule',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/radio/rules/:id - Update insertion rule
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const existing = await metadataService.getInsertionRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insertion rule not found'
+      });
+    }
+
+    const { error, value } = ruleUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule data',
+        error: error.details[0].message
+      });
+    }
+
+    // Validate the merged rule so trigger and interval stay consistent
+    const { error: mergedError } = ruleSchema.validate({
+      category: value.category || existing.category,
+      trigger: value.trigger || existing.trigger,
+      interval: value.interval !== undefined ? value.interval : existing.interval
+    });
+    if (mergedError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule data',
+        error: mergedError.details[0].message
+      });
+    }
+
+    const rule = await metadataService.updateInsertionRule(req.params.id, value);
+    
+    res.json({
+      success: true,
+      message: 'Insertion rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    logger.error('Failed to update insertion rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update insertion rule',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/rules/:id - Delete insertion rule
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const deleted = await metadataService.deleteInsertionRule(req.params.id);
+    
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Insertion rule deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Insertion rule not found'
+      });
+    }
+
+  } catch (error) {
+    logger.error('Failed to delete insertion rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete insertion rule',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/outputs - Output targets with their state
+router.get('/outputs', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+    const outputs = await radioService.outputs.getStatus();
+
+    res.json({
+      success: true,
+      outputs
+    });
+
+  } catch (error) {
+    logger.error('Failed to get output targets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get output targets',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/outputs - Add an output target (joins at once while on air)
+router.post('/outputs', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    const { error, value } = outputTargetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid output target data',
+        error: error.details[0].message
+      });
+    }
+
+    const target = await radioService.outputs.add(value);
+    const outputs = await radioService.outputs.getStatus();
+
+    res.status(201).json({
+      success: true,
+      message: 'Output target added successfully',
+      target,
+      status: outputs.find(o => o.id === target.id) || null
+    });
+
+  } catch (error) {
+    logger.error('Failed to add output target:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add output target',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/radio/outputs/:id - Edit an output target or turn it on/off (applies at once while on air)
+router.put('/outputs/:id', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    const { error, value } = outputTargetUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid output target data',
+        error: error.details[0].message
+      });
+    }
+
+    const target = await radioService.outputs.update(req.params.id, value);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Output target not found'
+      });
+    }
+
+    const outputs = await radioService.outputs.getStatus();
+
+    res.json({
+      success: true,
+      message: 'Output target updated successfully',
+      target,
+      status: outputs.find(o => o.id === target.id) || null
+    });
+
+  } catch (error) {
+    logger.error('Failed to update output target:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update output target',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/outputs/:id - Remove an output target (leaves its room while on air)
+router.delete('/outputs/:id', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    const deleted = await radioService.outputs.remove(req.params.id);
+    
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Output target removed successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Output target not found'
+      });
+    }
+
+  } catch (error) {
+    logger.error('Failed to remove output target:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove output target',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/history - As-run play history
+router.get('/history', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid history query',
+        error: error.details[0].message
+      });
+    }
+
+    const entries = await metadataService.getPlayHistory({
+      from: value.from,
+      to: value.to,
+      at: value.at,
+      fileId: value.fileId,
+      endReason: value.endReason,
+      inserted: value.inserted
+    });
+
+    if (value.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="play-history-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(historyCsvColumns, entries));
+    }
+
+    const paginatedEntries = entries.slice(value.offset, value.offset + value.limit);
+
+    res.json({
+      success: true,
+      history: paginatedEntries,
+      pagination: {
+        total: entries.length,
+        limit: value.limit,
+        offset: value.offset,
+        hasMore: value.offset + value.limit < entries.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get play history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get play history',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/queue - Items queued before the rotation
+router.get('/queue', async (req, res) => {
+  try {
+    const { metadataService } = req.services;
+
+    res.json({
+      success: true,
+      queue: await metadataService.getPlayQueue()
+    });
+
+  } catch (error) {
+    logger.error('Failed to get play queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get play queue',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/queue - Queue a file to play next, after the queue, or at a time
+router.post('/queue', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const { error, value } = queueItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid queue item',
+        error: error.details[0].message
+      });
+    }
+
+    const result = await radioService.queueTrack(value, { via: 'api', client: req.ip });
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(result.message === 'File not found' ? 404 : 400).json(result);
+    }
+
+  } catch (error) {
+    logger.error('Failed to queue track:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue track',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/radio/queue/order - Reorder the queue
+router.put('/queue/order', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const { error, value } = queueOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid queue order',
+        error: error.details[0].message
+      });
+    }
+
+    const result = await radioService.reorderQueue(value.itemIds);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+
+  } catch (error) {
+    logger.error('Failed to reorder queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder queue',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/queue/:id - Remove a queued item
+router.delete('/queue/:id', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const result = await radioService.unqueueTrack(req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+
+  } catch (error) {
+    logger.error('Failed to remove queue item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove queue item',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/queue - Empty the queue
+router.delete('/queue', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    const result = await radioService.clearQueue();
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json(result);
+    }
+
+  } catch (error) {
+    logger.error('Failed to clear queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear queue',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/live - Live takeover state
+router.get('/live', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      live: radioService.live.getStatus()
+    });
+
+  } catch (error) {
+    logger.error('Failed to get live status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get live status',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/radio/live - Release the live source, the automation resumes
+router.delete('/live', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available'
+      });
+    }
+
+    logger.info('Live release requested via API');
+    const result = await radioService.live.release();
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+
+  } catch (error) {
+    logger.error('Failed to release live source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release live source',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/health - Radio service health check
+router.get('/health', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+    
+    if (!radioService) {
+      return res.status(503).json({
+        success: false,
+        message: 'Radio service not available',
+        healthy: false
+      });
+    }
+
+    const status = await radioService.getStatus();
+    
+    const health = {
+      healthy: !status.error,
+      service: 'RadioService',
+      status: status.isRunning ? 'running' : 'stopped',
+      uptime: status.uptime || 0,
+      playlist: {
+        size: status.playlistSize || 0,
+        currentIndex: status.currentIndex || 0
+      },
+      process: {
+        pid: status.processId,
+        skipCount: status.skipCount || 0
+      },
+      target: status.target,
+      timestamp: new Date().toISOString()
+    };
+
+    if (status.error) {
+      health.error = status.error;
+    }
+
+    res.json({
+      success: true,
+      health
+    });
+
+  } catch (error) {
+    logger.error('Radio health check failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Radio health check failed',
+      healthy: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * HTTP status for a failed AudioBridge admin request
+ */
+function getRoomErrorStatus(error) {
+  switch (error.janusCode) {
+    case AUDIOBRIDGE_ERRORS.MISSING_ELEMENT:
+    case AUDIOBRIDGE_ERRORS.INVALID_ELEMENT:
+      return 400;
+    case AUDIOBRIDGE_ERRORS.UNAUTHORIZED:
+      return 403;
+    case AUDIOBRIDGE_ERRORS.NO_SUCH_ROOM:
+    case AUDIOBRIDGE_ERRORS.NO_SUCH_USER:
+      return 404;
+    case AUDIOBRIDGE_ERRORS.ROOM_EXISTS:
+      return 409;
+    default:
+      return 502; // Janus unreachable or failed
+  }
+}
+
+/**
+ * Room and participant IDs from the URL (AudioBridge uses numeric IDs)
+ */
+function parseRoomParams(req, res) {
+  const room = Number(req.params.roomId);
+  const participantId = req.params.participantId !== undefined ? Number(req.params.participantId) : null;
+
+  if (!Number.isSafeInteger(room) || room < 1 ||
+      (participantId !== null && (!Number.isSafeInteger(participantId) || participantId < 1))) {
+    res.status(400).json({
+      success: false,
+      message: 'Room and participant IDs must be positive integers'
+    });
+    return null;
+  }
+  return { room, participantId };
+}
+
+// GET /api/radio/janus/rooms - List AudioBridge rooms
+router.get('/janus/rooms', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+    const rooms = await radioService.janusService.listRooms();
+
+    res.json({
+      success: true,
+      rooms
+    });
+
+  } catch (error) {
+    logger.error('Failed to list AudioBridge rooms:', error);
+    res.status(getRoomErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to list AudioBridge rooms',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/janus/rooms - Create an AudioBridge room unless it exists
+router.post('/janus/rooms', async (req, res) => {
+  try {
+    const { radioService, metadataService } = req.services;
+
+    const { error, value } = roomCreateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room data',
+        error: error.details[0].message
+      });
+    }
+
+    const result = await radioService.janusService.createRoom(value);
+
+    // Point the station at the room (used from the next start). With an
+    // endpoint list, that is the entry of the gateway the room is on.
+    if (value.setAsStationRoom) {
+      const stationRoom = {
+        janusRoomId: String(result.room),
+        janusRoomSecret: value.secret || '',
+        janusRoomPin: value.pin || ''
+      };
+      const { janusEndpoints } = await metadataService.getRadioConfig();
+
+      if (Array.isArray(janusEndpoints) && janusEndpoints.length > 0) {
+        await metadataService.updateRadioConfig({
+          janusEndpoints: janusEndpoints.map((endpoint, index) =>
+            index === result.endpointIndex ? { ...endpoint, ...stationRoom } : endpoint
+          )
+        });
+      } else {
+        await metadataService.updateRadioConfig(stationRoom);
+      }
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'AudioBridge room created successfully' : 'AudioBridge room already exists',
+      created: result.created,
+      room: result.room,
+      stationRoom: value.setAsStationRoom
+    });
+
+  } catch (error) {
+    logger.error('Failed to create AudioBridge room:', error);
+    res.status(getRoomErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to create AudioBridge room',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/radio/janus/rooms/:roomId/participants - List participants in a room
+router.get('/janus/rooms/:roomId/participants', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+    const params = parseRoomParams(req, res);
+    if (!params) return;
+
+    const participants = await radioService.janusService.listParticipants(params.room);
+
+    res.json({
+      success: true,
+      room: params.room,
+      participants
+    });
+
+  } catch (error) {
+    logger.error('Failed to list AudioBridge participants:', error);
+    res.status(getRoomErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to list participants',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/janus/rooms/:roomId/participants/:participantId/mute - Mute or unmute a participant
+router.post('/janus/rooms/:roomId/participants/:participantId/mute', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+    const params = parseRoomParams(req, res);
+    if (!params) return;
+
+    const { error, value } = participantMuteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mute request',
+        error: error.details[0].message
+      });
+    }
+
+    await radioService.janusService.setParticipantMuted(params.room, params.participantId, value.muted, value.secret);
+
+    res.json({
+      success: true,
+      message: value.muted ? 'Participant muted' : 'Participant unmuted',
+      room: params.room,
+      participantId: params.participantId,
+      muted: value.muted
+    });
+
+  } catch (error) {
+    logger.error('Failed to mute AudioBridge participant:', error);
+    res.status(getRoomErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to change participant mute',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/radio/janus/rooms/:roomId/participants/:participantId/kick - Kick a participant
+router.post('/janus/rooms/:roomId/participants/:participantId/kick', async (req, res) => {
+  try {
+    const { radioService } = req.services;
+    const params = parseRoomParams(req, res);
+    if (!params) return;
+
+    const { error, value } = participantKickSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid kick request',
+        error: error.details[0].message
+      });
+    }
+
+    await radioService.janusService.kickParticipant(params.room, params.participantId, value.secret);
+
+    res.json({
+      success: true,
+      message: 'Participant kicked',
+      room: params.room,
+      participantId: params.participantId
+    });
+
+  } catch (error) {
+    logger.error('Failed to kick AudioBridge participant:', error);
+    res.status(getRoomErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to kick participant',
       error: error.message
     });
   }
@@ -0,0 +1,74 @@
+// src/routes/reportRoutes.js - Royalty and performance-rights report endpoints
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Validation schemas
+const royaltyQuerySchema = Joi.object({
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  includeInserted: Joi.boolean().default(false),
+  minSecondsPlayed: Joi.number().min(0).default(0),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+// Column layout expected by performance-rights organisations
+const royaltyCsvColumns = [
+  { header: 'Title', value: 'title' },
+  { header: 'Artist', value: 'artist' },
+  { header: 'Album', value: 'album' },
+  { header: 'ISRC', value: 'isrc' },
+  { header: 'Composer', value: 'composer' },
+  { header: 'Label', value: 'label' },
+  { header: 'Total Plays', value: 'plays' },
+  { header: 'Total Seconds', value: 'seconds' }
+];
+
+// GET /api/reports/royalty - Plays per track over a period
+router.get('/royalty', async (req, res) => {
+  try {
+    const { reportService } = req.services;
+
+    const { error, value } = royaltyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report query',
+        error: error.details[0].message
+      });
+    }
+
+    // A date-only end includes that whole day
+    if (value.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      value.to = new Date(value.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    const report = await reportService.getRoyaltyReport(value);
+
+    if (value.format === 'csv') {
+      const from = report.period.from.slice(0, 10);
+      const to = report.period.to.slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="royalty-report-${from}-to-${to}.csv"`);
+      return res.send(toCsv(royaltyCsvColumns, report.tracks));
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    logger.error('Failed to generate royalty report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate royalty report',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
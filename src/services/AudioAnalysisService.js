@@ -0,0 +1,446 @@
+// src/services/AudioAnalysisService.js - Per-track Audio Analysis
+const { spawn } = require('child_process');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Silence regions shorter than this are pauses, not dead air
+const SILENCE_THRESHOLD_DB = -50;
+const SILENCE_MIN_SECONDS = 2;
+const MAX_SILENCE_REGIONS = 100;
+
+// Problem thresholds behind the flags
+const LIMITS = {
+  tooQuietLufs: -30,
+  tooLoudLufs: -9,
+  clippedSamples: 10,     // Samples at full scale
+  clipLevelDb: -0.1,
+  monoCorrelation: 0.98,  // L/R (almost) identical: mono or fake stereo
+  phaseCorrelation: -0.2, // L/R cancelling out: one channel inverted
+  imbalanceDb: 20,
+  longSilenceSeconds: 10
+};
+
+/**
+ * Measures each track in one FFmpeg pass over the encoded file:
+ *  - loudness:    integrated LUFS, true peak and loudness range (loudnorm)
+ *  - levels:      sample peak, RMS and crest factor per channel (astats)
+ *  - silence:     silent regions (silencedetect)
+ *  - correlation: L/R correlation from mid and side levels
+ *  - clipping:    samples at full scale
+ *
+ * Results are stored on the file as `analysis`, with `flags` naming
+ * problems. Files are analyzed one at a time from a queue.
+ */
+class AudioAnalysisService {
+  constructor(metadataService, socketIO) {
+    this.metadataService = metadataService;
+    this.io = socketIO;
+
+    this.queue = [];
+    this.processing = false;
+    this.running = new Map(); // fileId -> FFmpeg process (null while starting)
+    this.analyzed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Queue files for analysis (skips ones already queued or running)
+   */
+  enqueue(fileIds) {
+    let added = 0;
+    for (const fileId of fileIds) {
+      if (!this.queue.includes(fileId) && !this.running.has(fileId)) {
+        this.queue.push(fileId);
+        added++;
+      }
+    }
+
+    if (!this.processing) {
+      this.processQueue().catch(error => {
+        logger.error('Analysis queue failed:', error);
+      });
+    }
+    return added;
+  }
+
+  async processQueue() {
+    this.processing = true;
+    try {
+      while (this.queue.length > 0) {
+        const fileId = this.queue.shift();
+        try {
+          await this.analyzeFile(fileId);
+        } catch (error) {
+          // Already logged to the file
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Queue every encoded file that has no analysis yet (all of them with force)
+   */
+  async analyzeLibrary(options = {}) {
+    const files = await this.metadataService.getFiles({ status: 'completed' });
+    const fileIds = files
+      .filter(f => options.force || !f.analysis)
+      .map(f => f.id);
+
+    const queued = this.enqueue(fileIds);
+    logger.info('Library analysis queued', { queued, force: !!options.force });
+    return queued;
+  }
+
+  isAnalyzing(fileId) {
+    return this.running.has(fileId);
+  }
+
+  /**
+   * Analyze one file now and store the report
+   */
+  async analyzeFile(fileId) {
+    if (this.running.has(fileId)) {
+      throw new Error('File is already being analyzed');
+    }
+
+    const startTime = Date.now();
+    this.running.set(fileId, null);
+
+    try {
+      const file = await this.metadataService.getFile(fileId);
+      if (!file) {
+        throw new Error('File not found');
+      }
+
+      // What goes on air is the encoded file; fall back to the upload
+      const source = file.encodedPath && await fs.pathExists(file.encodedPath) ? 'encoded' : 'original';
+      const inputPath = source === 'encoded' ? file.encodedPath : file.originalPath;
+      if (!inputPath || !await fs.pathExists(inputPath)) {
+        throw new Error('No audio file on disk to analyze');
+      }
+
+      logger.info('Analyzing audio', { fileId, file: path.basename(inputPath) });
+
+      const output = await this.runAnalysis(fileId, inputPath);
+      const analysis = {
+        ...this.buildReport(output),
+        source,
+        analyzedAt: new Date().toISOString()
+      };
+
+      await this.metadataService.updateFile(fileId, { analysis });
+      await this.metadataService.addLog(fileId, {
+        level: analysis.flags.length > 0 ? 'warn' : 'info',
+        message: analysis.flags.length > 0
+          ? `Audio analysis found problems: ${analysis.flags.join(', ')}`
+          : 'Audio analysis completed',
+        details: {
+          integratedLufs: analysis.loudness.integratedLufs,
+          truePeakDb: analysis.loudness.truePeakDb,
+          correlation: analysis.channels.correlation,
+          clippedSamples: analysis.clipping.clippedSamples,
+          silenceSeconds: analysis.silence.totalSeconds,
+          flags: analysis.flags
+        }
+      });
+
+      this.analyzed++;
+      this.io.to('file-updates').emit('file-analysis-completed', {
+        fileId,
+        flags: analysis.flags
+      });
+
+      logger.info('Audio analysis completed', {
+        fileId,
+        flags: analysis.flags,
+        elapsedMs: Date.now() - startTime
+      });
+      return analysis;
+
+    } catch (error) {
+      this.failed++;
+      logger.warn('Audio analysis failed', { fileId, error: error.message });
+
+      await this.metadataService.addLog(fileId, {
+        level: 'warn',
+        message: 'Audio analysis failed',
+        details: { error: error.message }
+      });
+      throw error;
+    } finally {
+      this.running.delete(fileId);
+    }
+  }
+
+  /**
+   * One decode feeding four measuring branches; resolves FFmpeg's stderr
+   */
+  runAnalysis(fileId, inputPath) {
+    return new Promise((resolve, reject) => {
+      const graph = [
+        '[0:a:0]aformat=sample_fmts=s16:channel_layouts=stereo,asplit=4[l][a][m][s]',
+        '[l]loudnorm=print_format=json[o0]',
+        `[a]silencedetect=n=${SILENCE_THRESHOLD_DB}dB:d=${SILENCE_MIN_SECONDS},astats@main[o1]`,
+        '[m]pan=mono|c0=0.5*c0+0.5*c1,astats@mid[o2]',
+        '[s]pan=mono|c0=0.5*c0-0.5*c1,astats@side[o3]'
+      ].join(';');
+
+      const args = [
+        '-hide_banner',
+        '-nostats',
+        '-i', inputPath,
+        '-filter_complex', graph,
+        '-map', '[o0]', '-f', 'null', '-',
+        '-map', '[o1]', '-f', 'null', '-',
+        '-map', '[o2]', '-f', 'null', '-',
+        '-map', '[o3]', '-f', 'null', '-'
+      ];
+
+      const analysisProcess = spawn(ffmpegPath, args);
+      this.running.set(fileId, analysisProcess);
+
+      let output = '';
+      analysisProcess.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+
+      analysisProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg process error: ${error.message}`));
+      });
+
+      analysisProcess.on('close', (code, signal) => {
+        if (code !== 0) {
+          return reject(new Error(signal ? `Analysis stopped (${signal})` : `FFmpeg analysis exited with code ${code}`));
+        }
+        resolve(output);
+      });
+    });
+  }
+
+  /**
+   * Turn FFmpeg's analysis output into the stored report
+   */
+  buildReport(output) {
+    const duration = this.parseDuration(output);
+    const loudnorm = this.parseLoudnorm(output);
+    const stats = this.parseAstats(output);
+    const main = stats.main || { channels: [], overall: {} };
+
+    const loudness = {
+      integratedLufs: loudnorm?.input_i ?? null,
+      truePeakDb: loudnorm?.input_tp ?? null,
+      lra: loudnorm?.input_lra ?? null
+    };
+
+    const peakDb = this.level(main.overall['Peak level dB']);
+    const rmsDb = this.level(main.overall['RMS level dB']);
+
+    // s16 clamps anything over full scale, so clipped samples pile up at the peak
+    const clippedSamples = peakDb !== null && peakDb >= LIMITS.clipLevelDb
+      ? Math.round(parseFloat(main.overall['Peak count']) || 0)
+      : 0;
+    const samples = parseFloat(main.overall['Number of samples']) || 0;
+
+    const regions = this.parseSilence(output, duration);
+    const silenceSeconds = regions.reduce((sum, r) => sum + r.duration, 0);
+
+    const report = {
+      duration,
+      loudness,
+      peak: {
+        sampleDb: this.round(peakDb),
+        truePeakDb: loudness.truePeakDb
+      },
+      dynamicRange: {
+        lra: loudness.lra,
+        crestFactorDb: peakDb !== null && rmsDb !== null ? this.round(peakDb - rmsDb) : null
+      },
+      silence: {
+        thresholdDb: SILENCE_THRESHOLD_DB,
+        minSeconds: SILENCE_MIN_SECONDS,
+        totalSeconds: this.round(silenceSeconds),
+        regions: regions.slice(0, MAX_SILENCE_REGIONS)
+      },
+      channels: {
+        rmsDb: main.channels.map(c => this.round(this.level(c['RMS level dB']))),
+        correlation: this.getCorrelation(stats.mid, stats.side)
+      },
+      clipping: {
+        clippedSamples,
+        percent: samples > 0 ? Math.round((clippedSamples / samples) * 1e6) / 1e4 : 0
+      }
+    };
+
+    report.flags = this.getFlags(report);
+    return report;
+  }
+
+  /**
+   * Problems worth a look before the file goes on air
+   */
+  getFlags(report) {
+    const flags = [];
+    const { integratedLufs } = report.loudness;
+    const [left, right] = report.channels.rmsDb;
+    const correlation = report.channels.correlation;
+
+    if (integratedLufs === null) {
+      flags.push('silent');
+    } else if (integratedLufs < LIMITS.tooQuietLufs) {
+      flags.push('too-quiet');
+    } else if (integratedLufs > LIMITS.tooLoudLufs) {
+      flags.push('too-loud');
+    }
+
+    if (report.clipping.clippedSamples >= LIMITS.clippedSamples) {
+      flags.push('clipping');
+    }
+
+    if (correlation !== null && correlation >= LIMITS.monoCorrelation) {
+      flags.push('mono');
+    } else if (correlation !== null && correlation <= LIMITS.phaseCorrelation) {
+      flags.push('out-of-phase');
+    }
+
+    if (integratedLufs !== null && left !== undefined && right !== undefined &&
+        (left === null || right === null || Math.abs(left - right) >= LIMITS.imbalanceDb)) {
+      flags.push('channel-imbalance');
+    }
+
+    if (integratedLufs !== null &&
+        report.silence.regions.some(r => r.duration >= LIMITS.longSilenceSeconds)) {
+      flags.push('long-silence');
+    }
+
+    return flags;
+  }
+
+  /**
+   * Correlation of L and R from the mid (L+R)/2 and side (L-R)/2 levels:
+   * E[LR] / ((E[L²] + E[R²]) / 2) = (M² - S²) / (M² + S²).
+   * 1 = identical channels, 0 = unrelated, -1 = one channel inverted.
+   */
+  getCorrelation(mid, side) {
+    const midDb = this.level(mid?.overall['RMS level dB']);
+    const sideDb = this.level(side?.overall['RMS level dB']);
+    const m2 = midDb === null ? 0 : Math.pow(10, midDb / 10);
+    const s2 = sideDb === null ? 0 : Math.pow(10, sideDb / 10);
+    if (m2 + s2 === 0) {
+      return null; // Silent
+    }
+    return Math.round(((m2 - s2) / (m2 + s2)) * 1000) / 1000;
+  }
+
+  parseDuration(output) {
+    const match = output.match(/Duration: (\d+):(\d+):([\d.]+)/);
+    if (!match) {
+      return null;
+    }
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+  }
+
+  /**
+   * loudnorm's JSON report (numbers parsed, -inf = null)
+   */
+  parseLoudnorm(output) {
+    const report = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!report) {
+      return null;
+    }
+
+    const stats = {};
+    for (const [key, value] of Object.entries(JSON.parse(report[0]))) {
+      const number = parseFloat(value);
+      stats[key] = Number.isFinite(number) ? number : null;
+    }
+    return stats;
+  }
+
+  /**
+   * astats reports by instance name: { main: { channels: [...], overall: {...} }, ... }
+   */
+  parseAstats(output) {
+    const stats = {};
+    let section = null;
+
+    for (const line of output.split(/[\r\n]+/)) {
+      const match = line.match(/^\[astats@(\w+) @ [^\]]+\] (.+?): ?(.*)$/);
+      const overall = line.match(/^\[astats@(\w+) @ [^\]]+\] Overall$/);
+      if (!match && !overall) continue;
+
+      const name = (match || overall)[1];
+      stats[name] = stats[name] || { channels: [], overall: {} };
+
+      if (overall) {
+        section = stats[name].overall;
+      } else if (match[2] === 'Channel') {
+        section = {};
+        stats[name].channels.push(section);
+      } else if (section) {
+        section[match[2]] = match[3];
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Silent regions in seconds; one still open at the end runs to the end
+   */
+  parseSilence(output, duration) {
+    const regions = [];
+    for (const line of output.split(/[\r\n]+/)) {
+      const silenceStart = line.match(/silence_start: (-?[\d.]+)/);
+      if (silenceStart) {
+        regions.push({ start: Math.max(0, parseFloat(silenceStart[1])), end: null });
+      }
+
+      const silenceEnd = line.match(/silence_end: ([\d.]+)/);
+      if (silenceEnd && regions.length > 0) {
+        regions[regions.length - 1].end = parseFloat(silenceEnd[1]);
+      }
+    }
+
+    return regions
+      .map(r => {
+        const end = r.end ?? duration ?? r.start;
+        return { start: this.round(r.start), end: this.round(end), duration: this.round(end - r.start) };
+      })
+      .filter(r => r.duration > 0);
+  }
+
+  /**
+   * dB value from astats, null for silence (-inf or absurdly low)
+   */
+  level(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > -200 ? number : null;
+  }
+
+  round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+  }
+
+  getStatus() {
+    return {
+      running: Array.from(this.running.keys()),
+      queued: this.queue.length,
+      analyzed: this.analyzed,
+      failed: this.failed
+    };
+  }
+
+  async cleanup() {
+    this.queue = [];
+    for (const analysisProcess of this.running.values()) {
+      if (analysisProcess && analysisProcess.exitCode === null) {
+        analysisProcess.kill('SIGTERM');
+      }
+    }
+  }
+}
+
+module.exports = AudioAnalysisService;
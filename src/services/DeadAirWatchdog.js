@@ -0,0 +1,264 @@
+// src/services/DeadAirWatchdog.js - Dead Air and Silence Detection
+const logger = require('../utils/logger');
+
+/**
+ * Watches the outgoing stream for dead air while the radio runs:
+ *  - stall:   no RTP packets sent for deadAirStallSeconds
+ *             (feeder hung, output starved)
+ *  - silence: the audio on air has been silent for deadAirSilenceSeconds
+ *             (found by silencedetect on a second feeder output, so off
+ *             by default to keep feeders on the copy path)
+ *
+ * On dead air it emits 'radio-dead-air', runs deadAirAction (skip,
+ * restart or none) and restarts the radio when dead air outlasts
+ * deadAirRestartSeconds.
+ */
+class DeadAirWatchdog {
+  constructor(radioService, metadataService, socketIO) {
+    this.radioService = radioService;
+    this.metadataService = metadataService;
+    this.io = socketIO;
+
+    this.timer = null;
+    this.checkInterval = 1000;
+    this.startedAt = null;
+
+    // Per source: on-air time and silent stretches in feeder seconds ({ start, end })
+    this.sources = new Map();
+    this.feederProgress = null; // { sourceId, time, updatedAt }
+
+    this.deadAir = null; // { type, since, cause, sourceId, restarted }
+    this.events = 0;
+    this.lastEvent = null;
+  }
+
+  /**
+   * Watchdog settings from radioConfig with defaults
+   */
+  getSettings(config) {
+    return {
+      stallSeconds: config.deadAirStallSeconds ?? 5,
+      silenceSeconds: config.deadAirSilenceSeconds ?? 0,
+      silenceThresholdDb: config.deadAirSilenceThresholdDb ?? -50,
+      action: config.deadAirAction || 'skip',
+      restartSeconds: config.deadAirRestartSeconds ?? 30
+    };
+  }
+
+  /**
+   * silencedetect filter for the feeder's monitoring output (null = off)
+   */
+  getSilenceFilter(config) {
+    const settings = this.getSettings(config);
+    if (!settings.silenceSeconds) {
+      return null;
+    }
+    return `silencedetect=n=${settings.silenceThresholdDb}dB:d=${settings.silenceSeconds}`;
+  }
+
+  start(streamer) {
+    this.stop();
+    this.startedAt = Date.now();
+
+    streamer.on('source-start', (sourceId) => {
+      this.getSource(sourceId).onAirAt = Date.now();
+    });
+    streamer.on('source-end', (sourceId) => {
+      this.sources.delete(sourceId);
+    });
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => {
+        logger.error('Dead air check failed:', error);
+      });
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.sources.clear();
+    this.feederProgress = null;
+    this.deadAir = null;
+  }
+
+  getSource(sourceId) {
+    if (!this.sources.has(sourceId)) {
+      this.sources.set(sourceId, { onAirAt: null, silences: [], partial: '' });
+    }
+    return this.sources.get(sourceId);
+  }
+
+  /**
+   * Parse feeder stderr: progress (time=) and silencedetect reports
+   */
+  handleFeederOutput(sourceId, chunk) {
+    const source = this.getSource(sourceId);
+    const lines = (source.partial + chunk).split(/[\r\n]+/);
+    source.partial = lines.pop();
+
+    for (const line of lines) {
+      const progress = line.match(/time=(\d+):(\d+):([\d.]+)/);
+      if (progress) {
+        const time = parseInt(progress[1], 10) * 3600 + parseInt(progress[2], 10) * 60 + parseFloat(progress[3]);
+        if (!this.feederProgress || this.feederProgress.sourceId !== sourceId || this.feederProgress.time !== time) {
+          this.feederProgress = { sourceId, time, updatedAt: Date.now() };
+        }
+      }
+
+      const silenceStart = line.match(/silence_start: (-?[\d.]+)/);
+      if (silenceStart) {
+        source.silences.push({ start: Math.max(0, parseFloat(silenceStart[1])), end: null });
+      }
+
+      const silenceEnd = line.match(/silence_end: ([\d.]+)/);
+      if (silenceEnd) {
+        const open = source.silences.find(s => s.end === null);
+        if (open) {
+          open.end = parseFloat(silenceEnd[1]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Current dead air condition, or null while audio is flowing
+   */
+  detect(settings) {
+    const now = Date.now();
+    const streamer = this.radioService.rtpStreamer;
+    if (!streamer) return null;
+
+    if (settings.stallSeconds > 0) {
+      const lastPacket = Math.max(streamer.lastPacketTime || 0, this.startedAt);
+      if (now - lastPacket >= settings.stallSeconds * 1000) {
+        const feeder = this.radioService.ffmpegProcess;
+        const feederHung = !!feeder && (!this.feederProgress ||
+          now - this.feederProgress.updatedAt >= settings.stallSeconds * 1000);
+        return {
+          type: 'stall',
+          since: lastPacket,
+          cause: feeder ? (feederHung ? 'feeder-hung' : 'output-starved') : 'no-feeder',
+          sourceId: null
+        };
+      }
+    }
+
+    if (settings.silenceSeconds > 0) {
+      const sourceId = streamer.currentSourceId;
+      const source = sourceId ? this.sources.get(sourceId) : null;
+      if (source?.onAirAt) {
+        const position = (now - source.onAirAt) / 1000;
+        const silence = source.silences.find(s =>
+          s.start <= position && (s.end === null || s.end > position)
+        );
+        if (silence && position - silence.start >= settings.silenceSeconds) {
+          return {
+            type: 'silence',
+            since: source.onAirAt + silence.start * 1000,
+            cause: 'silent-audio',
+            sourceId
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  async check() {
+    const radio = this.radioService;
+    if (!radio.isRunning || radio.isStopping) return;
+
+    // A live source drops out on its own timeout; pauses in speech are not dead air
+    if (radio.live.isActive()) {
+      this.deadAir = null;
+      return;
+    }
+
+    // Forget sources that were dropped (skipped or failed)
+    for (const sourceId of this.sources.keys()) {
+      if (!radio.sourceTracks.has(sourceId)) {
+        this.sources.delete(sourceId);
+      }
+    }
+
+    const settings = this.getSettings(await this.metadataService.getRadioConfig());
+    const condition = this.detect(settings);
+
+    if (!condition) {
+      if (this.deadAir) {
+        const durationMs = Date.now() - this.deadAir.since;
+        logger.info('Audio back on air', { type: this.deadAir.type, durationMs });
+        this.emitEvent('recovered', this.deadAir, { durationMs });
+        this.deadAir = null;
+      }
+      return;
+    }
+
+    // A new dead air stretch (or silence moved on to another source)
+    if (!this.deadAir || this.deadAir.type !== condition.type || this.deadAir.sourceId !== condition.sourceId) {
+      this.deadAir = { ...condition, restarted: false };
+      this.events++;
+
+      logger.warn('Dead air detected', {
+        type: condition.type,
+        cause: condition.cause,
+        track: radio.currentTrack?.originalName,
+        action: settings.action
+      });
+      this.emitEvent('detected', this.deadAir, { action: settings.action });
+
+      if (settings.action === 'skip') {
+        await radio.skip({ via: 'watchdog', client: null, name: `dead-air:${condition.type}` });
+      } else if (settings.action === 'restart') {
+        this.deadAir.restarted = true;
+        await radio.restart('dead-air', { nextTrack: condition.type === 'silence' });
+      }
+      return;
+    }
+
+    // Still dead after the first action - restart the radio
+    if (settings.action !== 'none' && !this.deadAir.restarted && settings.restartSeconds > 0 &&
+        Date.now() - this.deadAir.since >= settings.restartSeconds * 1000) {
+      this.deadAir.restarted = true;
+      logger.error('Dead air persists, restarting radio', {
+        type: this.deadAir.type,
+        durationMs: Date.now() - this.deadAir.since
+      });
+      this.emitEvent('restarting', this.deadAir, { action: 'restart' });
+      await radio.restart('dead-air', { nextTrack: this.deadAir.type === 'silence' });
+    }
+  }
+
+  emitEvent(state, deadAir, data = {}) {
+    this.lastEvent = {
+      state,
+      type: deadAir.type,
+      cause: deadAir.cause,
+      track: this.radioService.currentTrack
+        ? { id: this.radioService.currentTrack.id, originalName: this.radioService.currentTrack.originalName }
+        : null,
+      since: new Date(deadAir.since).toISOString(),
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+    this.io.emit('radio-dead-air', this.lastEvent);
+  }
+
+  getStatus() {
+    return {
+      active: !!this.timer,
+      deadAir: this.deadAir
+        ? { type: this.deadAir.type, cause: this.deadAir.cause, since: new Date(this.deadAir.since).toISOString() }
+        : null,
+      feederProgress: this.feederProgress,
+      events: this.events,
+      lastEvent: this.lastEvent
+    };
+  }
+}
+
+module.exports = DeadAirWatchdog;
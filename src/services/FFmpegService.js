@@ -17,6 +17,12 @@ class FFmpegService {
     // Reference to FileImportService (set later)
     this.fileImportService = null;
     
+    // Reference to AudioAnalysisService (set later)
+    this.audioAnalysisService = null;
+    
+    // Reference to WaveformService (set later)
+    this.waveformService = null;
+    
     // Resource management for low-end VPS
     this.isLowResourceMode = this.maxConcurrent === 1;
     
@@ -29,6 +35,16 @@ class FFmpegService {
     this.fileImportService = fileImportService;
   }
 
+  // Set AudioAnalysisService reference
+  setAudioAnalysisService(audioAnalysisService) {
+    this.audioAnalysisService = audioAnalysisService;
+  }
+
+  // Set WaveformService reference
+  setWaveformService(waveformService) {
+    this.waveformService = waveformService;
+  }
+
   // Initialize job recovery on service startup
   async initializeJobRecovery() {
     try {
@@ -84,7 +100,7 @@ class FFmpegService {
     }
   }
 
-  async encodeFile(fileId) {
+  async encodeFile(fileId, options = {}) {
     try {
       // Check if already encoding
       if (this.activeJobs.has(fileId)) {
@@ -109,6 +125,15 @@ class FFmpegService {
         throw new Error('Original file not found on disk');
       }
 
+      // Requested profile, else the one the file was last encoded with, else the default
+      const profile = options.profile
+        ? await this.metadataService.getEncodingProfile(options.profile)
+        : (await this.metadataService.getEncodingProfile(file.encodingProfile)) ||
+          (await this.metadataService.getEncodingProfile());
+      if (!profile) {
+        throw new Error(`Unknown encoding profile: ${options.profile || 'default'}`);
+      }
+
       logger.info('Starting encoding process', { 
         fileId, 
         originalName: file.originalName 
@@ -118,6 +143,7 @@ class FFmpegService {
       await this.metadataService.updateFile(fileId, {
         status: 'encoding',
         progress: 0,
+        encodingProfile: profile.id,
         error: null
       });
 
@@ -134,23 +160,44 @@ class FFmpegService {
       // Extract metadata first (lightweight operation)
       await this.extractMetadata(fileId, file.originalPath);
 
+      // Find leading/trailing silence to trim or cue around
+      const encodingConfig = await this.metadataService.getEncodingConfig();
+      const silence = await this.analyzeSilence(fileId, file.originalPath, encodingConfig);
+      const trim = encodingConfig.silenceTrim === 'trim' ? silence : null;
+
+      // Measure loudness for two-pass normalization
+      const loudness = profile.loudnorm?.enabled
+        ? await this.analyzeLoudness(fileId, file.originalPath, profile, trim)
+        : null;
+
       // Start encoding with direct spawn
-      const result = await this.performDirectEncoding(fileId, file.originalPath, outputPath, activeJob);
+      const result = await this.performDirectEncoding(fileId, file.originalPath, outputPath, activeJob, {
+        trim,
+        profile,
+        loudness
+      });
 
       // Update file record with success
-      await this.metadataService.updateFile(fileId, {
+      const updates = {
         status: 'completed',
         progress: 100,
         encodedPath: outputPath,
+        loudness: loudness ? this.getLoudnessRecord(profile, loudness, result.loudnorm) : null,
         error: null
-      });
+      };
+      if (silence) {
+        Object.assign(updates, await this.getSilenceUpdates(fileId, silence, encodingConfig.silenceTrim));
+      }
+      await this.metadataService.updateFile(fileId, updates);
 
       await this.metadataService.addLog(fileId, {
         level: 'info',
         message: 'Encoding completed successfully',
         details: { 
           duration: result.duration,
-          outputSize: result.size 
+          outputSize: result.size,
+          profile: profile.id,
+          loudness: updates.loudness?.output || null
         }
       });
 
@@ -164,6 +211,14 @@ class FFmpegService {
         outputPath
       });
 
+      // Analyze the encoded file and draw its waveform in the background
+      if (this.audioAnalysisService) {
+        this.audioAnalysisService.enqueue([fileId]);
+      }
+      if (this.waveformService) {
+        this.waveformService.prepare({ id: fileId, encodedPath: outputPath });
+      }
+
       logger.info('Encoding completed successfully', { 
         fileId, 
         duration: result.duration 
@@ -217,16 +272,17 @@ class FFmpegService {
       
       const metadata = await parseFile(filePath);
       
-      await this.metadataService.updateFile(fileId, {
-        metadata: {
-          duration: metadata.format.duration || null,
-          bitrate: metadata.format.bitrate || null,
-          title: metadata.common.title || null,
-          artist: metadata.common.artist || null,
-          album: metadata.common.album || null,
-          year: metadata.common.year || null,
-          genre: metadata.common.genre?.[0] || null
-        }
+      await this.metadataService.updateExtractedMetadata(fileId, {
+        duration: metadata.format.duration || null,
+        bitrate: metadata.format.bitrate || null,
+        title: metadata.common.title || null,
+        artist: metadata.common.artist || null,
+        album: metadata.common.album || null,
+        year: metadata.common.year || null,
+        genre: metadata.common.genre?.[0] || null,
+        isrc: metadata.common.isrc?.[0] || null,
+        composer: metadata.common.composer?.join(', ') || null,
+        label: metadata.common.label?.join(', ') || null
       });
 
       await this.metadataService.addLog(fileId, {
@@ -236,7 +292,8 @@ class FFmpegService {
           duration: metadata.format.duration,
           bitrate: metadata.format.bitrate,
           title: metadata.common.title,
-          artist: metadata.common.artist
+          artist: metadata.common.artist,
+          isrc: metadata.common.isrc?.[0]
         }
       });
 
@@ -257,8 +314,353 @@ class FFmpegService {
     }
   }
 
+  /**
+   * Detect leading and trailing silence with silencedetect.
+   * Resolves { start, end, leading, trailing } in seconds (audio is kept
+   * between start and end), or null when analysis is off, finds nothing
+   * to remove or fails - a failed analysis never fails the encode.
+   */
+  async analyzeSilence(fileId, inputPath, config) {
+    if (!config.silenceTrim || config.silenceTrim === 'off') {
+      return null;
+    }
+
+    const thresholdDb = config.silenceThresholdDb ?? -50;
+    const minDuration = config.silenceMinDuration ?? 0.5;
+
+    try {
+      const { silences, duration } = await this.detectSilence(fileId, inputPath, thresholdDb, minDuration);
+      if (!duration) {
+        throw new Error('Could not determine input duration');
+      }
+
+      // Leading silence starts the file, trailing silence runs to its end
+      const first = silences[0];
+      const last = silences[silences.length - 1];
+      const start = first && first.start <= 0.05 && first.end !== null ? first.end : 0;
+      const end = last && (last.end === null || last.end >= duration - 0.05) && last.start > start
+        ? last.start
+        : duration;
+
+      const result = {
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round(end * 1000) / 1000,
+        leading: Math.round(start * 1000) / 1000,
+        trailing: Math.round((duration - end) * 1000) / 1000
+      };
+
+      await this.metadataService.addLog(fileId, {
+        level: 'info',
+        message: 'Silence analysis completed',
+        details: {
+          mode: config.silenceTrim,
+          thresholdDb,
+          minDuration,
+          duration,
+          leadingSilence: result.leading,
+          trailingSilence: result.trailing,
+          audioStart: result.start,
+          audioEnd: result.end
+        }
+      });
+
+      if (result.end <= result.start) {
+        return null; // Silent throughout - nothing sensible to keep
+      }
+      return result.leading > 0 || result.trailing > 0 ? result : null;
+
+    } catch (error) {
+      logger.warn('Silence analysis failed', { fileId, error: error.message });
+
+      await this.metadataService.addLog(fileId, {
+        level: 'warn',
+        message: 'Silence analysis failed, encoding without trimming',
+        details: { error: error.message }
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Run silencedetect over the whole input.
+   * Resolves the silent stretches ({ start, end }, end null when the
+   * silence runs to the end) and the input duration.
+   */
+  async detectSilence(fileId, inputPath, thresholdDb, minDuration) {
+    const output = await this.runAnalysis(fileId, inputPath, [
+      '-i', inputPath,
+      '-map', '0:a:0',
+      '-af', `silencedetect=n=${thresholdDb}dB:d=${minDuration}`
+    ]);
+
+    const silences = [];
+    let duration = null;
+    for (const line of output.split(/[\r\n]+/)) {
+      const total = line.match(/Duration: (\d+):(\d+):([\d.]+)/);
+      if (total && duration === null) {
+        duration = parseInt(total[1], 10) * 3600 + parseInt(total[2], 10) * 60 + parseFloat(total[3]);
+      }
+
+      const silenceStart = line.match(/silence_start: (-?[\d.]+)/);
+      if (silenceStart) {
+        silences.push({ start: Math.max(0, parseFloat(silenceStart[1])), end: null });
+      }
+
+      const silenceEnd = line.match(/silence_end: ([\d.]+)/);
+      if (silenceEnd && silences.length > 0) {
+        silences[silences.length - 1].end = parseFloat(silenceEnd[1]);
+      }
+    }
+
+    return { silences, duration };
+  }
+
+  /**
+   * Loudness normalization pass 1: measure the input (after any
+   * silence trim) with loudnorm against the profile's targets
+   */
+  async measureLoudness(fileId, inputPath, loudnorm, trim = null) {
+    const output = await this.runAnalysis(fileId, inputPath, [
+      ...this.getTrimArgs(trim),
+      '-i', inputPath,
+      '-map', '0:a:0',
+      '-af', `${this.getLoudnormFilter(loudnorm)}:print_format=json`
+    ]);
+
+    const stats = this.parseLoudnormStats(output);
+    if (!stats) {
+      throw new Error('Loudness measurement returned no stats');
+    }
+    if (stats.input_i === null || stats.input_tp === null) {
+      throw new Error('Input is silent, nothing to normalize');
+    }
+    return stats;
+  }
+
+  /**
+   * loudnorm filter for a profile's targets; pass 2 adds the values
+   * measured in pass 1 for a linear (gain only) correction
+   */
+  getLoudnormFilter(loudnorm, measured = null) {
+    let filter = `loudnorm=I=${loudnorm.integratedLufs}:TP=${loudnorm.truePeakDb}:LRA=${loudnorm.lra}`;
+    if (measured) {
+      filter += `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+        `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+        `:offset=${measured.target_offset}:linear=true`;
+    }
+    return filter;
+  }
+
+  /**
+   * Last loudnorm JSON report in FFmpeg output (numbers parsed, -inf = null)
+   */
+  parseLoudnormStats(output) {
+    const reports = output.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!reports) {
+      return null;
+    }
+
+    const raw = JSON.parse(reports[reports.length - 1]);
+    const stats = {};
+    for (const [key, value] of Object.entries(raw)) {
+      const number = parseFloat(value);
+      stats[key] = key === 'normalization_type' ? value : (Number.isFinite(number) ? number : null);
+    }
+    return stats;
+  }
+
+  /**
+   * Run an FFmpeg analysis pass (output discarded) and resolve its stderr.
+   * Registered as the active job so the analysis can be cancelled.
+   */
+  runAnalysis(fileId, inputPath, inputArgs) {
+    return new Promise((resolve, reject) => {
+      const args = ['-hide_banner', '-nostats', ...inputArgs, '-f', 'null', '-'];
+
+      const analysisProcess = spawn(ffmpegPath, args);
+
+      this.activeJobs.set(fileId, {
+        process: analysisProcess,
+        startTime: Date.now(),
+        inputPath,
+        outputPath: null,
+        pid: analysisProcess.pid
+      });
+
+      let output = '';
+      analysisProcess.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+
+      analysisProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg process error: ${error.message}`));
+      });
+
+      analysisProcess.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`FFmpeg analysis exited with code ${code}`));
+        }
+        resolve(output);
+      });
+    });
+  }
+
+  /**
+   * Input options cutting leading/trailing silence found by analyzeSilence()
+   */
+  getTrimArgs(trim) {
+    if (!trim) {
+      return [];
+    }
+    const length = Math.round((trim.end - trim.start) * 1000) / 1000;
+    return ['-ss', String(trim.start), '-t', String(length)];
+  }
+
+  /**
+   * Loudness normalization pass 1 for a profile. Resolves the measured
+   * stats, or null when measuring fails (the file is encoded as-is).
+   */
+  async analyzeLoudness(fileId, inputPath, profile, trim) {
+    try {
+      const stats = await this.measureLoudness(fileId, inputPath, profile.loudnorm, trim);
+
+      await this.metadataService.addLog(fileId, {
+        level: 'info',
+        message: 'Loudness measured',
+        details: {
+          profile: profile.id,
+          integratedLufs: stats.input_i,
+          truePeakDb: stats.input_tp,
+          lra: stats.input_lra,
+          targetLufs: profile.loudnorm.integratedLufs
+        }
+      });
+      return stats;
+
+    } catch (error) {
+      logger.warn('Loudness measurement failed', { fileId, error: error.message });
+
+      await this.metadataService.addLog(fileId, {
+        level: 'warn',
+        message: 'Loudness measurement failed, encoding without normalization',
+        details: { error: error.message }
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Loudness stats stored on the file: targets, the input as measured
+   * in pass 1 and the result reported by pass 2
+   */
+  getLoudnessRecord(profile, measured, output) {
+    return {
+      profile: profile.id,
+      target: {
+        integratedLufs: profile.loudnorm.integratedLufs,
+        truePeakDb: profile.loudnorm.truePeakDb,
+        lra: profile.loudnorm.lra
+      },
+      input: {
+        integratedLufs: measured.input_i,
+        truePeakDb: measured.input_tp,
+        lra: measured.input_lra,
+        thresholdLufs: measured.input_thresh
+      },
+      output: output
+        ? {
+          integratedLufs: output.output_i,
+          truePeakDb: output.output_tp,
+          lra: output.output_lra
+        }
+        : null,
+      // 'linear' = gain only; loudnorm falls back to 'dynamic' when the gain would break the true-peak ceiling
+      normalizationType: output?.normalization_type || null,
+      measuredAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * File record changes for detected silence: the shortened duration
+   * when it was trimmed, cue-in/cue-out points when it was only cued.
+   * Cues set by hand are kept; only unset or detected ones are replaced.
+   *
+   * Cues count from the start of the encoded file, so they are moved by
+   * the change in the cut at the start (the new one minus the one of the
+   * previous encode) and clamped to the new length.
+   */
+  async getSilenceUpdates(fileId, silence, mode) {
+    const file = await this.metadataService.getFile(fileId);
+    const previousCut = file.silence?.trimmed ? file.silence.start : 0;
+
+    if (mode === 'trim') {
+      const duration = Math.round((silence.end - silence.start) * 1000) / 1000;
+      const updates = {
+        metadata: {
+          ...(file.metadata || {}),
+          duration
+        },
+        silence: { ...silence, trimmed: true }
+      };
+      if (file.cues) {
+        // Detected cues marked the silence that is now cut out
+        updates.cues = this.shiftCues(file.cues, previousCut - silence.start, duration, { dropAuto: true });
+      }
+      return updates;
+    }
+
+    const cues = this.shiftCues(file.cues || {}, previousCut, silence.end + silence.trailing);
+
+    const setCue = (name, value) => {
+      if (cues[name] === null || cues.cueSource[name] === 'auto') {
+        cues[name] = value;
+        cues.cueSource[name] = 'auto';
+      }
+    };
+    if (silence.leading > 0) {
+      setCue('cueIn', silence.start);
+    }
+    if (silence.trailing > 0) {
+      setCue('cueOut', silence.end);
+    }
+
+    return { cues, silence: { ...silence, trimmed: false } };
+  }
+
+  /**
+   * Cues moved by `shift` seconds and clamped to 0..duration. A cue-out
+   * that ends up at or before the cue-in is unset. With dropAuto, cues
+   * from silence detection are unset too.
+   */
+  shiftCues(current, shift, duration, { dropAuto = false } = {}) {
+    const cues = {
+      cueIn: null,
+      cueOut: null,
+      introEnd: null,
+      outroStart: null,
+      ...current
+    };
+    cues.cueSource = { ...(cues.cueSource || {}) };
+
+    for (const name of ['cueIn', 'cueOut', 'introEnd', 'outroStart']) {
+      if (dropAuto && cues.cueSource[name] === 'auto') {
+        cues[name] = null;
+        delete cues.cueSource[name];
+      } else if (typeof cues[name] === 'number') {
+        const moved = Math.min(duration, Math.max(0, cues[name] + shift));
+        cues[name] = Math.round(moved * 1000) / 1000;
+      }
+    }
+
+    if (cues.cueOut !== null && cues.cueOut <= (cues.cueIn || 0)) {
+      cues.cueOut = null;
+      delete cues.cueSource.cueOut;
+    }
+    return cues;
+  }
+
   // OPTIMIZED: Direct spawn encoding (following RadioService.js pattern)
-  async performDirectEncoding(fileId, inputPath, outputPath, activeJob) {
+  async performDirectEncoding(fileId, inputPath, outputPath, activeJob, options = {}) {
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
 
@@ -268,13 +670,22 @@ class FFmpegService {
         outputPath: path.basename(outputPath)
       });
 
+      const profile = options.profile || {};
+
+      // Loudness normalization pass 2 with the stats measured in pass 1
+      const filterArgs = options.loudness
+        ? ['-af', `${this.getLoudnormFilter(profile.loudnorm, options.loudness)}:print_format=json`]
+        : [];
+
       // Build FFmpeg arguments for Opus encoding
       const args = [
+        ...this.getTrimArgs(options.trim),                  // Silence trimming
         '-i', inputPath,                                    // Input file
+        ...filterArgs,                                      // Loudness normalization
         '-c:a', process.env.FFMPEG_OUTPUT_CODEC || 'libopus', // Audio codec
         '-ar', process.env.FFMPEG_SAMPLE_RATE || '48000',   // Sample rate
         '-ac', process.env.FFMPEG_CHANNELS || '2',          // Channels
-        '-b:a', process.env.FFMPEG_BITRATE || '128k',       // Bitrate
+        '-b:a', profile.bitrate || process.env.FFMPEG_BITRATE || '128k', // Bitrate
         '-application', 'audio',                            // Opus application type
         '-frame_duration', '20',                            // Frame duration
         '-packet_loss', '1',                                // Packet loss resilience
@@ -400,7 +811,8 @@ class FFmpegService {
               success: true,
               duration,
               size: stats.size,
-              outputPath
+              outputPath,
+              loudnorm: options.loudness ? this.parseLoudnormStats(progressData) : null
             });
 
           } else if (signal === 'SIGTERM') {
@@ -435,6 +847,123 @@ class FFmpegService {
     });
   }
 
+  /**
+   * Technical report of an audio file from ffprobe: container and streams
+   */
+  probeFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+      ];
+
+      const probeProcess = spawn(ffprobePath, args);
+
+      let output = '';
+      let errorOutput = '';
+      probeProcess.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      probeProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      probeProcess.on('error', (error) => {
+        reject(new Error(`FFprobe process error: ${error.message}`));
+      });
+
+      probeProcess.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(errorOutput.trim() || `FFprobe exited with code ${code}`));
+        }
+
+        try {
+          const probe = JSON.parse(output);
+          const number = (value) => (value === undefined || value === 'N/A' ? null : Number(value));
+          const format = probe.format || {};
+
+          resolve({
+            container: {
+              format: format.format_name || null,
+              formatLongName: format.format_long_name || null,
+              duration: number(format.duration),
+              bitrate: number(format.bit_rate),
+              size: number(format.size),
+              tags: format.tags || {}
+            },
+            streams: (probe.streams || []).map(stream => ({
+              index: stream.index,
+              type: stream.codec_type,
+              codec: stream.codec_name || null,
+              codecLongName: stream.codec_long_name || null,
+              profile: stream.profile || null,
+              sampleRate: number(stream.sample_rate),
+              sampleFormat: stream.sample_fmt || null,
+              channels: stream.channels ?? null,
+              channelLayout: stream.channel_layout || null,
+              bitrate: number(stream.bit_rate),
+              duration: number(stream.duration),
+              startTime: number(stream.start_time),
+              tags: stream.tags || {}
+            }))
+          });
+        } catch (error) {
+          reject(new Error(`Unreadable ffprobe output: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Render a spectrogram of a whole file as a PNG (resolves a Buffer).
+   * Pass options.signal to stop rendering when the client goes away.
+   */
+  renderSpectrogram(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const width = options.width || 1024;
+      const height = options.height || 512;
+      const mode = options.mode || 'combined';
+
+      const args = [
+        '-v', 'error',
+        '-i', filePath,
+        '-lavfi', `[0:a:0]showspectrumpic=s=${width}x${height}:mode=${mode}:legend=1`,
+        '-frames:v', '1',
+        '-f', 'image2pipe',
+        '-c:v', 'png',
+        'pipe:1'
+      ];
+
+      const renderProcess = spawn(ffmpegPath, args, { signal: options.signal });
+
+      const chunks = [];
+      let errorOutput = '';
+      renderProcess.stdout.on('data', (data) => {
+        chunks.push(data);
+      });
+      renderProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      renderProcess.on('error', (error) => {
+        reject(error.name === 'AbortError'
+          ? new Error('Spectrogram rendering aborted')
+          : new Error(`FFmpeg process error: ${error.message}`));
+      });
+
+      renderProcess.on('close', (code) => {
+        const image = Buffer.concat(chunks);
+        if (code !== 0 || image.length === 0) {
+          return reject(new Error(errorOutput.trim() || `FFmpeg exited with code ${code}`));
+        }
+        resolve(image);
+      });
+    });
+  }
+
   // Helper method to update progress
   async updateProgress(fileId, percent) {
     // Update database
@@ -704,16 +704,17 @@ class FileImportService {
     try {
       const metadata = await parseFile(file.originalPath);
       
-      await this.metadataService.updateFile(file.id, {
-        metadata: {
-          duration: metadata.format.duration || null,
-          bitrate: metadata.format.bitrate || null,
-          title: metadata.common.title || null,
-          artist: metadata.common.artist || null,
-          album: metadata.common.album || null,
-          year: metadata.common.year || null,
-          genre: metadata.common.genre?.[0] || null
-        }
+      await this.metadataService.updateExtractedMetadata(file.id, {
+        duration: metadata.format.duration || null,
+        bitrate: metadata.format.bitrate || null,
+        title: metadata.common.title || null,
+        artist: metadata.common.artist || null,
+        album: metadata.common.album || null,
+        year: metadata.common.year || null,
+        genre: metadata.common.genre?.[0] || null,
+        isrc: metadata.common.isrc?.[0] || null,
+        composer: metadata.common.composer?.join(', ') || null,
+        label: metadata.common.label?.join(', ') || null
       });
 
       logger.debug('Metadata extracted for imported file:', {
@@ -1,15 +1,80 @@
 // src/services/JanusService.js - FIXED: Added Session Keepalive to Prevent 60s Timeout
-const axios = require('axios');
+const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
+const { createTransport } = require('./JanusTransport');
 
-class JanusService {
-  constructor(metadataService) {
+const DEFAULT_RECONNECT_ATTEMPTS = 10;
+const DEFAULT_BACKOFF_INITIAL = 2;  // seconds
+const DEFAULT_BACKOFF_MAX = 60;     // seconds
+const DEFAULT_FAILBACK_CHECK = 60;  // seconds
+
+// AudioBridge error codes the room admin API tells apart
+const AUDIOBRIDGE_ERRORS = {
+  MISSING_ELEMENT: 483,
+  INVALID_ELEMENT: 484,
+  NO_SUCH_ROOM: 485,
+  ROOM_EXISTS: 486,
+  UNAUTHORIZED: 487,
+  NO_SUCH_USER: 488
+};
+
+/**
+ * Talks to Janus over the transport chosen by radioConfig.janusTransport
+ * (HTTP REST or WebSocket, see JanusTransport.js).
+ *
+ * Session states:
+ *  idle -> connecting -> joined <-> degraded (keepalives failing)
+ *  joined/degraded -> reconnecting when Janus drops the session; the
+ *  session is re-created, the plugin re-attached and the room re-joined
+ *  with backoff, keeping the SSRC so the RTP stream carries on.
+ *
+ * Endpoints:
+ *  radioConfig.janusEndpoints is an ordered list of gateways, each with its
+ *  own room and credentials (the single janusIP/janusPort settings when the
+ *  list is empty). Sessions open on the first reachable one; recovery moves
+ *  on to the next. With janusFailback, the primary is probed while another
+ *  endpoint is active and the session moves back once it answers (the
+ *  primary is joined before the backup is closed).
+ *
+ * Events:
+ *  - state-change ({ state, previous, reason, ... })
+ *  - session-recovered ({ rtpDetails, attempts, endpoint })  re-joined after a loss or failback
+ *  - session-lost ({ sessionId, reason })  Janus dropped the session and recovery gave up
+ *  - room-event ({ type, room, ... })      something happened in the AudioBridge room
+ *                                          (participant-joined, participant-updated,
+ *                                          participant-left, participant-kicked,
+ *                                          room-destroyed)
+ */
+class JanusService extends EventEmitter {
+  /**
+   * options.getConfig supplies the settings for an extra output target;
+   * the station's radioConfig is used by default.
+   */
+  constructor(metadataService, options = {}) {
+    super();
     this.metadataService = metadataService;
+    this.getConfig = options.getConfig || (() => this.metadataService.getRadioConfig());
+    this.transport = null;
     this.sessionId = null;
     this.handleId = null;
     this.participantId = null;
+    this.roomId = null;
+    this.ssrc = null;
     this.rtpDetails = null;
     this.baseUrl = null;
+    this.participants = new Set(); // ids of the other participants in the room
+
+    // Session state machine
+    this.state = 'idle';
+    this.stateReason = null;
+    this.stateChangedAt = null;
+    this.recovery = null; // { cancelled, timer, attempt, maxAttempts }
+
+    // Endpoint in use (index into the configured list) and primary probing
+    this.activeEndpoint = null;
+    this.failbackTimer = null;
+    this.failbackProbeRunning = false;
+    this.failback = null; // { backup } while a failback joins the primary
     
     // NEW: Keepalive mechanism
     this.keepaliveTimer = null;
@@ -82,30 +147,32 @@ class JanusService {
    * NEW: Send keepalive message to Janus session
    */
   async sendKeepalive() {
-    if (!this.sessionId || !this.baseUrl) {
+    if (!this.sessionId || !this.transport) {
       logger.warn('Cannot send keepalive: no active session');
       return;
     }
 
     try {
-      const response = await axios.post(`${this.baseUrl}/${this.sessionId}`, {
+      const response = await this.transport.send({
         janus: 'keepalive',
         transaction: this.generateTransactionId()
-      }, {
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      }, { sessionId: this.sessionId, timeout: 5000 });
 
-      if (response.data.janus === 'ack') {
+      if (response.janus === 'ack') {
         // Reset failure count on success
         this.keepaliveFailureCount = 0;
         logger.debug('Janus session keepalive sent successfully', { 
           sessionId: this.sessionId 
         });
+        if (this.state === 'degraded') {
+          this.setState('joined', { reason: 'Keepalive answered' });
+        }
+      } else if (response.janus === 'error' && response.error?.code === 458) {
+        // Janus no longer knows this session (timed out or server restarted)
+        this.handleSessionLost('No such session');
+        return;
       } else {
-        throw new Error(`Unexpected keepalive response: ${response.data.janus}`);
+        throw new Error(`Unexpected keepalive response: ${response.janus}`);
       }
 
     } catch (error) {
@@ -119,14 +186,15 @@ class JanusService {
         error: sanitizedError
       });
 
-      // If too many failures, log error but continue trying
+      // If too many failures, treat the session as dead and recover it
       if (this.keepaliveFailureCount >= this.maxKeepaliveFailures) {
         logger.error('Multiple keepalive failures detected - session may be dead', {
           sessionId: this.sessionId,
           failures: this.keepaliveFailureCount
         });
-        // Note: We continue trying rather than destroying the session
-        // The RadioService can detect if streaming actually fails
+        this.handleSessionLost('Keepalive failures');
+      } else if (this.state === 'joined') {
+        this.setState('degraded', { reason: `Keepalive failed: ${this.getSafeErrorMessage(error)}` });
       }
     }
   }
@@ -146,11 +214,51 @@ class JanusService {
    * Establish Janus session and join AudioBridge room
    */
   async establishSession() {
+    this.cancelRecovery();
+    this.ssrc = null;
+    this.setState('connecting');
+
+    try {
+      const config = await this.getConfig();
+      const endpoint = await this.openFirstAvailable(config);
+      this.setState('joined', { endpoint: endpoint.name });
+      this.scheduleFailbackCheck(config);
+      
+      return this.rtpDetails;
+      
+    } catch (error) {
+      const sanitizedError = this.sanitizeError(error);
+      const safeMessage = this.getSafeErrorMessage(error);
+      
+      logger.error('Failed to establish Janus session:', sanitizedError);
+      await this.cleanup();
+      
+      throw new Error(`Janus connection failed: ${safeMessage}`);
+    }
+  }
+
+  /**
+   * Connect, create the session, attach the plugin and join the room.
+   * Anything half set up is closed again on failure.
+   */
+  async openSession(config) {
     try {
-      const config = await this.metadataService.getRadioConfig();
-      this.baseUrl = `http://${config.janusIP || '185.80.51.95'}:${config.janusPort || '8088'}/janus`;
+      const transport = createTransport(config);
+      this.transport = transport;
+      this.baseUrl = transport.url;
+      // Only the current session's transport is listened to (a failback
+      // keeps the backup's open next to it for a moment)
+      transport.on('event', (message) => {
+        if (this.transport === transport) this.handleEvent(message);
+      });
+      transport.on('closed', ({ reason }) => {
+        if (this.transport === transport) this.handleSessionLost(reason);
+      });
       
-      logger.info('Establishing Janus session...', { baseUrl: this.baseUrl });
+      logger.info('Establishing Janus session...', { baseUrl: this.baseUrl, transport: this.transport.name });
+
+      // Step 0: Open the connection (WebSocket)
+      await this.transport.connect();
 
       // Step 1: Create session
       await this.createSession();
@@ -162,6 +270,7 @@ class JanusService {
       await this.joinRoom(config);
       
       // NEW: Step 4: Start keepalive to prevent session timeout
+      this.keepaliveFailureCount = 0;
       this.startKeepalive();
       
       logger.info('Janus session established successfully', {
@@ -171,39 +280,337 @@ class JanusService {
         keepaliveActive: !!this.keepaliveTimer
       });
       
-      return this.rtpDetails;
-      
     } catch (error) {
-      const sanitizedError = this.sanitizeError(error);
-      const safeMessage = this.getSafeErrorMessage(error);
-      
-      logger.error('Failed to establish Janus session:', sanitizedError);
-      await this.cleanup();
-      
-      throw new Error(`Janus connection failed: ${safeMessage}`);
+      await this.closeSession();
+      throw error;
     }
   }
 
+  /**
+   * Record a state transition and tell listeners about it
+   */
+  setState(state, details = {}) {
+    const previous = this.state;
+    this.state = state;
+    this.stateReason = details.reason || null;
+    this.stateChangedAt = new Date().toISOString();
+
+    logger.info('Janus session state changed', { state, previous, ...details });
+    this.emit('state-change', { state, previous, ...details });
+  }
+
+  /**
+   * Recovery settings from radioConfig with defaults
+   */
+  getRecoverySettings(config) {
+    return {
+      maxAttempts: config.janusReconnectAttempts ?? DEFAULT_RECONNECT_ATTEMPTS,
+      initialDelay: (config.janusReconnectBackoffInitial ?? DEFAULT_BACKOFF_INITIAL) * 1000,
+      maxDelay: (config.janusReconnectBackoffMax ?? DEFAULT_BACKOFF_MAX) * 1000
+    };
+  }
+
+  /**
+   * Janus dropped a joined session - start recovering it (once)
+   */
+  handleSessionLost(reason) {
+    if (this.state !== 'joined' && this.state !== 'degraded') {
+      return;
+    }
+    if (this.failback) {
+      return; // The new session failed to open - failBack() keeps the backup
+    }
+
+    this.recoverSession(reason).catch(error => {
+      logger.error('Janus session recovery failed:', this.sanitizeError(error));
+    });
+  }
+
+  /**
+   * Re-create the session, re-attach and re-join with exponential backoff,
+   * starting with the endpoint after the lost one. Emits
+   * 'session-recovered' with the new RTP details, or 'session-lost' once
+   * the attempts run out.
+   */
+  async recoverSession(reason) {
+    const lostSessionId = this.sessionId;
+    const startIndex = (this.activeEndpoint?.index ?? -1) + 1;
+    const recovery = { cancelled: false, timer: null, wake: null, attempt: 0, maxAttempts: 0 };
+    this.recovery = recovery;
+
+    this.stopKeepalive();
+    this.stopFailbackCheck();
+    this.setState('reconnecting', { reason, attempt: 0 });
+
+    await this.closeSession();
+    const settings = this.getRecoverySettings(await this.getConfig());
+    recovery.maxAttempts = settings.maxAttempts;
+
+    while (!recovery.cancelled && recovery.attempt < settings.maxAttempts) {
+      recovery.attempt++;
+      const delay = Math.min(settings.initialDelay * 2 ** (recovery.attempt - 1), settings.maxDelay);
+      this.setState('reconnecting', {
+        reason,
+        attempt: recovery.attempt,
+        maxAttempts: settings.maxAttempts,
+        retryInMs: delay
+      });
+
+      await this.waitForRetry(recovery, delay);
+      if (recovery.cancelled) return;
+
+      if (await this.tryReconnect(recovery, reason, startIndex)) {
+        return;
+      }
+    }
+
+    if (recovery.cancelled) return;
+
+    this.recovery = null;
+    this.ssrc = null;
+    this.setState('idle', { reason });
+    this.emit('session-lost', {
+      sessionId: lostSessionId,
+      reason: settings.maxAttempts > 0 ? `${reason} (gave up after ${settings.maxAttempts} reconnect attempts)` : reason
+    });
+  }
+
+  /**
+   * One pass over the endpoints. True when recovery is over (joined or cancelled).
+   */
+  async tryReconnect(recovery, reason, startIndex) {
+    const config = await this.getConfig();
+    let endpoint;
+
+    try {
+      endpoint = await this.openFirstAvailable(config, startIndex, recovery);
+    } catch (error) {
+      logger.warn('Janus reconnect attempt failed', {
+        attempt: recovery.attempt,
+        maxAttempts: recovery.maxAttempts,
+        error: this.getSafeErrorMessage(error)
+      });
+      return recovery.cancelled;
+    }
+
+    if (recovery.cancelled) {
+      await this.closeSession();
+      return true;
+    }
+
+    this.recovery = null;
+    this.setState('joined', { reason: `Session recovered (${reason})`, attempts: recovery.attempt, endpoint: endpoint.name });
+    this.emit('session-recovered', { rtpDetails: this.rtpDetails, attempts: recovery.attempt, endpoint: endpoint.name });
+    this.scheduleFailbackCheck(config);
+    return true;
+  }
+
+  /**
+   * Configured endpoints in order, each with the radio config to use for it
+   */
+  getEndpoints(config) {
+    if (!Array.isArray(config.janusEndpoints) || config.janusEndpoints.length === 0) {
+      return [{ index: 0, name: config.janusIP || 'default', config }];
+    }
+
+    return config.janusEndpoints.map((endpoint, index) => ({
+      index,
+      name: endpoint.name || `${endpoint.janusIP}:${endpoint.janusRoomId}`,
+      // Room credentials belong to the endpoint; other settings fall back to the top level
+      config: { ...config, janusRoomSecret: '', janusRoomPin: '', ...endpoint }
+    }));
+  }
+
+  /**
+   * Open a session on the first endpoint that works, starting at `startIndex`
+   * and wrapping around the list
+   */
+  async openFirstAvailable(config, startIndex = 0, recovery = null) {
+    const endpoints = this.getEndpoints(config);
+    let lastError = null;
+
+    for (let i = 0; i < endpoints.length; i++) {
+      const endpoint = endpoints[(startIndex + i) % endpoints.length];
+
+      try {
+        await this.openSession(endpoint.config);
+        this.activeEndpoint = endpoint;
+        if (endpoints.length > 1) {
+          logger.info('Using Janus endpoint', { endpoint: endpoint.name, index: endpoint.index });
+        }
+        return endpoint;
+      } catch (error) {
+        lastError = error;
+        logger.warn('Janus endpoint unavailable', {
+          endpoint: endpoint.name,
+          error: this.getSafeErrorMessage(error)
+        });
+      }
+
+      if (recovery?.cancelled) break;
+    }
+
+    if (endpoints.length > 1) {
+      throw new Error(`All ${endpoints.length} Janus endpoints failed (last: ${this.getSafeErrorMessage(lastError)})`);
+    }
+    throw lastError;
+  }
+
+  /**
+   * While a backup endpoint is active, probe the primary and fail back
+   * once it answers (radioConfig.janusFailback)
+   */
+  scheduleFailbackCheck(config) {
+    this.stopFailbackCheck();
+    if (!config.janusFailback || !this.activeEndpoint || this.activeEndpoint.index === 0) {
+      return;
+    }
+
+    const primary = this.getEndpoints(config)[0];
+    const interval = (config.janusFailbackCheckSeconds ?? DEFAULT_FAILBACK_CHECK) * 1000;
+
+    this.failbackTimer = setInterval(async () => {
+      if (this.failbackProbeRunning || (this.state !== 'joined' && this.state !== 'degraded')) {
+        return;
+      }
+
+      this.failbackProbeRunning = true;
+      try {
+        if (await this.probeEndpoint(primary) && this.failbackTimer && this.state !== 'reconnecting') {
+          logger.info('Primary Janus endpoint is reachable again, failing back', { endpoint: primary.name });
+          await this.failBack(primary).catch(error => {
+            logger.error('Janus failback failed:', this.sanitizeError(error));
+          });
+        }
+      } finally {
+        this.failbackProbeRunning = false;
+      }
+    }, interval);
+
+    logger.info('Watching primary Janus endpoint for failback', {
+      primary: primary.name,
+      active: this.activeEndpoint.name,
+      intervalMs: interval
+    });
+  }
+
+  /**
+   * Move back to the primary without going off air: join it on a second
+   * session while the backup stays up, move the stream over
+   * ('session-recovered'), then close the backup. The backup is kept when
+   * the primary can't be joined.
+   */
+  async failBack(primary) {
+    const reason = `Failing back to ${primary.name}`;
+    const failback = { backup: null };
+    this.failback = failback;
+
+    this.stopFailbackCheck();
+    this.stopKeepalive();
+    failback.backup = this.detachSession();
+
+    try {
+      await this.openSession(primary.config);
+    } catch (error) {
+      if (this.failback !== failback) return; // Cleaned up meanwhile
+      this.failback = null;
+
+      logger.warn('Janus failback failed, staying on backup endpoint', {
+        endpoint: primary.name,
+        error: this.getSafeErrorMessage(error)
+      });
+      this.restoreSession(failback.backup);
+      this.startKeepalive();
+      this.scheduleFailbackCheck(await this.getConfig());
+      return;
+    }
+
+    if (this.failback !== failback) {
+      // Cleaned up while joining - the backup is already closed
+      await this.closeSession();
+      return;
+    }
+    this.failback = null;
+    this.activeEndpoint = primary;
+
+    this.setState('joined', { reason, endpoint: primary.name });
+    this.emit('session-recovered', { rtpDetails: this.rtpDetails, attempts: 0, endpoint: primary.name });
+    await this.closeDetachedSession(failback.backup);
+  }
+
+  /**
+   * Drop a failback in progress, closing the backup it holds
+   */
+  async cancelFailback() {
+    const failback = this.failback;
+    if (!failback) return;
+
+    this.failback = null;
+    await this.closeDetachedSession(failback.backup);
+  }
+
+  stopFailbackCheck() {
+    if (this.failbackTimer) {
+      clearInterval(this.failbackTimer);
+      this.failbackTimer = null;
+    }
+  }
+
+  /**
+   * True when the endpoint's gateway answers an info request
+   */
+  async probeEndpoint(endpoint) {
+    const transport = createTransport(endpoint.config);
+    try {
+      await transport.connect();
+      const response = await transport.send({
+        janus: 'info',
+        transaction: this.generateTransactionId()
+      }, { timeout: 5000 });
+      return response.janus === 'server_info';
+    } catch (error) {
+      logger.debug('Janus endpoint probe failed', { endpoint: endpoint.name, error: error.message });
+      return false;
+    } finally {
+      await transport.close();
+    }
+  }
+
+  waitForRetry(recovery, delay) {
+    return new Promise(resolve => {
+      recovery.wake = resolve;
+      recovery.timer = setTimeout(resolve, delay);
+    });
+  }
+
+  /**
+   * Stop a running recovery (radio stopped or a fresh session requested)
+   */
+  cancelRecovery() {
+    if (!this.recovery) return;
+
+    this.recovery.cancelled = true;
+    clearTimeout(this.recovery.timer);
+    if (this.recovery.wake) this.recovery.wake();
+    this.recovery = null;
+    logger.info('Janus session recovery cancelled');
+  }
+
   /**
    * Create Janus session
    */
   async createSession() {
     try {
-      const response = await axios.post(this.baseUrl, {
+      const response = await this.transport.send({
         janus: 'create',
         transaction: this.generateTransactionId()
-      }, {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      }, { timeout: 10000 });
 
-      if (response.data.janus !== 'success') {
-        throw new Error(`Failed to create Janus session: ${response.data.error || 'Unknown error'}`);
+      if (response.janus !== 'success') {
+        throw new Error(`Failed to create Janus session: ${response.error?.reason || 'Unknown error'}`);
       }
 
-      this.sessionId = response.data.data.id;
+      this.sessionId = response.data.id;
       logger.debug('Janus session created', { sessionId: this.sessionId });
       
     } catch (error) {
@@ -218,22 +625,17 @@ class JanusService {
    */
   async attachPlugin() {
     try {
-      const response = await axios.post(`${this.baseUrl}/${this.sessionId}`, {
+      const response = await this.transport.send({
         janus: 'attach',
         plugin: 'janus.plugin.audiobridge',
         transaction: this.generateTransactionId()
-      }, {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      }, { sessionId: this.sessionId, timeout: 10000 });
 
-      if (response.data.janus !== 'success') {
-        throw new Error(`Failed to attach to AudioBridge plugin: ${response.data.error || 'Unknown error'}`);
+      if (response.janus !== 'success') {
+        throw new Error(`Failed to attach to AudioBridge plugin: ${response.error?.reason || 'Unknown error'}`);
       }
 
-      this.handleId = response.data.data.id;
+      this.handleId = response.data.id;
       logger.debug('AudioBridge plugin attached', { handleId: this.handleId });
       
     } catch (error) {
@@ -249,7 +651,9 @@ class JanusService {
   async joinRoom(config) {
     try {
       const roomId = parseInt(config.janusRoomId || '3183360752998701');
-      const ssrc = this.generateSSRC();
+      // Re-joins keep the SSRC so the stream stays one RTP source
+      const ssrc = this.ssrc ?? this.generateSSRC();
+      this.ssrc = ssrc;
       const transactionId = this.generateTransactionId();
       
       const joinRequest = {
@@ -285,30 +689,22 @@ class JanusService {
         transaction: transactionId
       });
 
-      // Send join request
-      const response = await axios.post(`${this.baseUrl}/${this.sessionId}/${this.handleId}`, joinRequest, {
+      // Send join request - Janus acks it and answers with an event
+      const response = await this.transport.send(joinRequest, {
+        sessionId: this.sessionId,
+        handleId: this.handleId,
         timeout: 15000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      logger.info('Initial join response', {
-        janus: response.data.janus,
-        transaction: response.data.transaction
+        awaitEvent: true,
+        eventTimeout: 30000
       });
 
-      // For asynchronous requests, we first get an "ack", then need to poll for the event
-      if (response.data.janus === 'ack') {
-        logger.info('Join request acknowledged, waiting for event...');
-        
-        // Now poll for the actual join event
-        const eventResponse = await this.pollForEvent(transactionId, 30000); // 30 second timeout
-        
-        const pluginData = eventResponse.plugindata?.data;
+      if (response.janus === 'event') {
+        const pluginData = response.plugindata?.data;
         
         if (pluginData?.audiobridge === 'joined') {
           this.participantId = pluginData.id;
+          this.roomId = roomId;
+          this.participants = new Set((pluginData.participants || []).map(p => p.id));
           
           // For RTP participants, extract connection details
           this.rtpDetails = {
@@ -331,37 +727,16 @@ class JanusService {
           throw new Error(`Unexpected event response: ${pluginData?.audiobridge || 'unknown'}`);
         }
         
-      } else if (response.data.janus === 'event') {
-        // Immediate event response (synchronous)
-        const pluginData = response.data.plugindata?.data;
-        
-        if (pluginData?.audiobridge === 'joined') {
-          this.participantId = pluginData.id;
-          this.rtpDetails = {
-            ip: config.janusIP || '185.80.51.95',
-            port: pluginData.rtp?.port || 50000,
-            ssrc: ssrc
-          };
-          
-          logger.info('Successfully joined AudioBridge room (immediate)', {
-            room: roomId,
-            participantId: this.participantId,
-            rtpDetails: this.rtpDetails
-          });
-        } else if (pluginData?.error) {
-          throw new Error(`AudioBridge error: ${pluginData.error}`);
-        }
-        
-      } else if (response.data.janus === 'error') {
-        const janusError = response.data.error?.reason || response.data.error || 'Unknown Janus error';
+      } else if (response.janus === 'error') {
+        const janusError = response.error?.reason || response.error || 'Unknown Janus error';
         throw new Error(`Janus error: ${janusError}`);
         
       } else {
         logger.error('Unexpected response type', { 
-          janus: response.data.janus,
-          data: response.data 
+          janus: response.janus,
+          data: response 
         });
-        throw new Error(`Unexpected response type: ${response.data.janus}`);
+        throw new Error(`Unexpected response type: ${response.janus}`);
       }
       
     } catch (error) {
@@ -381,54 +756,255 @@ class JanusService {
   }
 
   /**
-   * Poll for asynchronous event response from Janus
+   * Handle Janus messages that no request was waiting for
    */
-  async pollForEvent(transactionId, timeoutMs = 30000) {
-    const startTime = Date.now();
-    const pollInterval = 500; // Poll every 500ms
-    
-    while (Date.now() - startTime < timeoutMs) {
-      try {
-        const eventResponse = await axios.get(`${this.baseUrl}/${this.sessionId}`, {
-          timeout: 5000,
-          headers: {
-            'Content-Type': 'application/json'
+  handleEvent(message) {
+    if (message.session_id && this.sessionId && message.session_id !== this.sessionId) {
+      return;
+    }
+
+    if (message.janus === 'timeout') {
+      this.handleSessionLost('Session timed out');
+      return;
+    }
+    if (message.janus === 'detached') {
+      this.handleSessionLost('Plugin handle detached');
+      return;
+    }
+
+    const pluginData = message.plugindata?.data;
+    if (message.janus !== 'event' || !pluginData) {
+      logger.debug('Ignoring Janus message', { janus: message.janus });
+      return;
+    }
+
+    const room = pluginData.room || this.roomId;
+
+    if (pluginData.audiobridge === 'destroyed') {
+      this.emit('room-event', { type: 'room-destroyed', room });
+      this.handleSessionLost(`Room ${room} destroyed`);
+      return;
+    }
+
+    if (pluginData.audiobridge !== 'event') {
+      logger.debug('Ignoring AudioBridge message', { audiobridge: pluginData.audiobridge });
+      return;
+    }
+
+    // AudioBridge lists a participant both when it joins and when it
+    // changes (mute, display name); only ids not seen yet are joins
+    if (Array.isArray(pluginData.participants)) {
+      for (const participant of pluginData.participants) {
+        const known = this.participants.has(participant.id);
+        this.participants.add(participant.id);
+        this.emit('room-event', {
+          type: known ? 'participant-updated' : 'participant-joined',
+          room,
+          participant: {
+            id: participant.id,
+            display: participant.display || null,
+            muted: participant.muted ?? null
           }
         });
-        
-        logger.debug('Polling response', {
-          janus: eventResponse.data.janus,
-          transaction: eventResponse.data.transaction
-        });
-        
-        // Check if this is the event we're waiting for
-        if (eventResponse.data.janus === 'event' && 
-            eventResponse.data.transaction === transactionId) {
-          
-          logger.info('Received awaited event', {
-            audiobridge: eventResponse.data.plugindata?.data?.audiobridge,
-            transaction: transactionId
-          });
-          
-          return eventResponse.data;
+      }
+    }
+    if (pluginData.leaving !== undefined) {
+      this.participants.delete(pluginData.leaving);
+      this.emit('room-event', { type: 'participant-left', room, participant: { id: pluginData.leaving } });
+    }
+    if (pluginData.kicked !== undefined) {
+      this.participants.delete(pluginData.kicked);
+      this.emit('room-event', { type: 'participant-kicked', room, participant: { id: pluginData.kicked } });
+      if (pluginData.kicked === this.participantId) {
+        this.handleSessionLost('Kicked from room');
+      }
+    }
+  }
+
+  /**
+   * Run AudioBridge requests on a short-lived session of their own, so
+   * room admin works whether or not the station is on air. Uses the
+   * active endpoint, or the primary one while off air.
+   */
+  async withAdminHandle(fn) {
+    const config = await this.getConfig();
+    const endpoint = this.activeEndpoint || this.getEndpoints(config)[0];
+    const transport = createTransport(endpoint.config);
+    let sessionId = null;
+
+    try {
+      await transport.connect();
+
+      const created = await transport.send({
+        janus: 'create',
+        transaction: this.generateTransactionId()
+      }, { timeout: 10000 });
+      if (created.janus !== 'success') {
+        throw new Error(`Failed to create Janus session: ${created.error?.reason || 'Unknown error'}`);
+      }
+      sessionId = created.data.id;
+
+      const attached = await transport.send({
+        janus: 'attach',
+        plugin: 'janus.plugin.audiobridge',
+        transaction: this.generateTransactionId()
+      }, { sessionId, timeout: 10000 });
+      if (attached.janus !== 'success') {
+        throw new Error(`Failed to attach to AudioBridge plugin: ${attached.error?.reason || 'Unknown error'}`);
+      }
+      const handleId = attached.data.id;
+
+      const request = (body) => this.sendRoomRequest(transport, sessionId, handleId, body);
+      return await fn(request, endpoint.config, endpoint);
+
+    } catch (error) {
+      // HTTP errors hold the whole request (circular) - callers log these
+      if (error.isAxiosError) {
+        throw new Error(this.getSafeErrorMessage(error));
+      }
+      throw error;
+    } finally {
+      if (sessionId) {
+        try {
+          await transport.send({
+            janus: 'destroy',
+            transaction: this.generateTransactionId()
+          }, { sessionId, timeout: 5000 });
+        } catch (error) {
+          logger.warn('Failed to destroy Janus admin session:', this.sanitizeError(error));
         }
-        
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-        
+      }
+      await transport.close();
+    }
+  }
+
+  /**
+   * Synchronous AudioBridge request. Plugin errors are thrown with the
+   * AudioBridge code as `janusCode`.
+   */
+  async sendRoomRequest(transport, sessionId, handleId, body) {
+    const response = await transport.send({
+      janus: 'message',
+      transaction: this.generateTransactionId(),
+      body
+    }, { sessionId, handleId, timeout: 10000 });
+
+    if (response.janus === 'error') {
+      const error = new Error(`Janus error: ${response.error?.reason || 'Unknown Janus error'}`);
+      error.janusCode = response.error?.code || null;
+      throw error;
+    }
+
+    const data = response.plugindata?.data;
+    if (!data) {
+      throw new Error(`Unexpected response type: ${response.janus}`);
+    }
+    if (data.error) {
+      const error = new Error(`AudioBridge error: ${data.error} (${data.error_code || 'unknown code'})`);
+      error.janusCode = data.error_code || null;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Admin key for create requests when Janus requires one
+   */
+  withAdminKey(body, config) {
+    if (config.janusAdminKey && config.janusAdminKey.trim()) {
+      body.admin_key = config.janusAdminKey;
+    }
+    return body;
+  }
+
+  /**
+   * Secret for a room: the given one, else the configured one for the station's room
+   */
+  getRoomSecret(room, secret, config) {
+    if (secret) return secret;
+    if (String(room) === String(config.janusRoomId) && config.janusRoomSecret) {
+      return config.janusRoomSecret;
+    }
+    return undefined;
+  }
+
+  async listRooms() {
+    return this.withAdminHandle(async (request) => {
+      const data = await request({ request: 'list' });
+      return data.list || [];
+    });
+  }
+
+  /**
+   * Create a room unless it exists. Resolves { created, room, endpointIndex }
+   * (endpointIndex: the janusEndpoints entry the request went to).
+   */
+  async createRoom(options) {
+    return this.withAdminHandle(async (request, config, endpoint) => {
+      const endpointIndex = endpoint.index;
+      if (options.room) {
+        const existing = await request({ request: 'exists', room: options.room });
+        if (existing.exists) {
+          return { created: false, room: options.room, endpointIndex };
+        }
+      }
+
+      const body = this.withAdminKey({
+        request: 'create',
+        description: options.description || undefined,
+        secret: options.secret || undefined,
+        pin: options.pin || undefined,
+        sampling_rate: options.samplingRate || 48000,
+        is_private: !!options.isPrivate,
+        permanent: !!options.permanent
+      }, config);
+      if (options.room) {
+        body.room = options.room;
+      }
+
+      try {
+        const data = await request(body);
+        logger.info('AudioBridge room created', { room: data.room, permanent: !!data.permanent });
+        return { created: true, room: data.room, endpointIndex };
       } catch (error) {
-        if (error.response?.status === 204) {
-          // No events available, continue polling
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
-          continue;
+        // Created by someone else since the exists check
+        if (error.janusCode === AUDIOBRIDGE_ERRORS.ROOM_EXISTS) {
+          return { created: false, room: options.room, endpointIndex };
         }
-        
-        logger.warn('Error while polling for event:', this.sanitizeError(error));
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        throw error;
       }
-    }
-    
-    throw new Error(`Timeout waiting for join event (${timeoutMs}ms)`);
+    });
+  }
+
+  async listParticipants(room) {
+    return this.withAdminHandle(async (request) => {
+      const data = await request({ request: 'listparticipants', room });
+      return data.participants || [];
+    });
+  }
+
+  async setParticipantMuted(room, participantId, muted, secret = null) {
+    return this.withAdminHandle(async (request, config) => {
+      await request({
+        request: muted ? 'mute' : 'unmute',
+        room,
+        id: participantId,
+        secret: this.getRoomSecret(room, secret, config)
+      });
+      logger.info(muted ? 'AudioBridge participant muted' : 'AudioBridge participant unmuted', { room, participantId });
+    });
+  }
+
+  async kickParticipant(room, participantId, secret = null) {
+    return this.withAdminHandle(async (request, config) => {
+      await request({
+        request: 'kick',
+        room,
+        id: participantId,
+        secret: this.getRoomSecret(room, secret, config)
+      });
+      logger.info('AudioBridge participant kicked', { room, participantId });
+    });
   }
 
   /**
@@ -447,6 +1023,19 @@ class JanusService {
       handleId: this.handleId,
       participantId: this.participantId,
       rtpDetails: this.rtpDetails,
+      transport: this.transport?.name || null,
+      endpoint: this.activeEndpoint ? {
+        index: this.activeEndpoint.index,
+        name: this.activeEndpoint.name,
+        janusIP: this.activeEndpoint.config.janusIP,
+        roomId: this.activeEndpoint.config.janusRoomId
+      } : null,
+      failbackCheckActive: !!this.failbackTimer,
+      state: this.state,
+      stateReason: this.stateReason,
+      stateChangedAt: this.stateChangedAt,
+      reconnectAttempt: this.recovery?.attempt || 0,
+      maxReconnectAttempts: this.recovery?.maxAttempts || 0,
       connected: !!(this.sessionId && this.handleId && this.participantId),
       keepaliveActive: !!this.keepaliveTimer,
       keepaliveFailures: this.keepaliveFailureCount
@@ -457,21 +1046,88 @@ class JanusService {
    * Cleanup session on radio stop
    */
   async cleanup() {
+    this.cancelRecovery();
+    this.stopFailbackCheck();
+    await this.cancelFailback();
+
+    // NEW: Stop keepalive first
+    this.stopKeepalive();
+
+    await this.closeSession();
+    this.ssrc = null;
+    this.keepaliveFailureCount = 0;
+    if (this.state !== 'idle') {
+      this.setState('idle', { reason: 'Session closed' });
+    }
+    logger.info('Janus session cleaned up');
+  }
+
+  /**
+   * Leave the room, destroy the session and close the transport
+   */
+  async closeSession() {
+    await this.closeDetachedSession(this.detachSession());
+  }
+
+  /**
+   * Take the current session off the service (its fields are reset) so a
+   * second one can be opened next to it
+   */
+  detachSession() {
+    const session = {
+      transport: this.transport,
+      sessionId: this.sessionId,
+      handleId: this.handleId,
+      participantId: this.participantId,
+      roomId: this.roomId,
+      rtpDetails: this.rtpDetails,
+      participants: this.participants,
+      activeEndpoint: this.activeEndpoint
+    };
+
+    this.transport = null;
+    this.sessionId = null;
+    this.handleId = null;
+    this.participantId = null;
+    this.roomId = null;
+    this.rtpDetails = null;
+    this.participants = new Set();
+    this.activeEndpoint = null;
+    return session;
+  }
+
+  /**
+   * Make a detached session the current one again
+   */
+  restoreSession(session) {
+    this.transport = session.transport;
+    this.sessionId = session.sessionId;
+    this.handleId = session.handleId;
+    this.participantId = session.participantId;
+    this.roomId = session.roomId;
+    this.rtpDetails = session.rtpDetails;
+    this.participants = session.participants;
+    this.activeEndpoint = session.activeEndpoint;
+  }
+
+  /**
+   * Leave the room, destroy the session and close the transport of a
+   * detached session
+   */
+  async closeDetachedSession(session) {
+    const { transport, sessionId, handleId } = session;
     try {
-      // NEW: Stop keepalive first
-      this.stopKeepalive();
-      
-      if (this.sessionId && this.handleId) {
+      if (sessionId && handleId && transport) {
         logger.info('Cleaning up Janus session...');
         
         // Leave room
-        if (this.participantId) {
+        if (session.participantId) {
           try {
-            await axios.post(`${this.baseUrl}/${this.sessionId}/${this.handleId}`, {
+            await transport.send({
               janus: 'message',
               transaction: this.generateTransactionId(),
               body: { request: 'leave' }
-            }, { timeout: 5000 });
+            }, { sessionId, handleId, timeout: 5000 });
           } catch (error) {
             const sanitizedError = this.sanitizeError(error);
             logger.warn('Failed to leave room during cleanup:', sanitizedError);
@@ -480,10 +1136,10 @@ class JanusService {
 
         // Destroy session
         try {
-          await axios.post(`${this.baseUrl}/${this.sessionId}`, {
+          await transport.send({
             janus: 'destroy',
             transaction: this.generateTransactionId()
-          }, { timeout: 5000 });
+          }, { sessionId, timeout: 5000 });
         } catch (error) {
           const sanitizedError = this.sanitizeError(error);
           logger.warn('Failed to destroy session during cleanup:', sanitizedError);
@@ -493,12 +1149,9 @@ class JanusService {
       const sanitizedError = this.sanitizeError(error);
       logger.error('Error during Janus cleanup:', sanitizedError);
     } finally {
-      this.sessionId = null;
-      this.handleId = null;
-      this.participantId = null;
-      this.rtpDetails = null;
-      this.keepaliveFailureCount = 0;
-      logger.info('Janus session cleaned up');
+      if (transport) {
+        await transport.close();
+      }
     }
   }
 
@@ -517,4 +1170,5 @@ class JanusService {
   }
 }
 
-module.exports = JanusService;
\ No newline at end of file
+module.exports = JanusService;
+module.exports.AUDIOBRIDGE_ERRORS = AUDIOBRIDGE_ERRORS;
\ No newline at end of file
@@ -0,0 +1,239 @@
+// src/services/JanusTransport.js - Janus API Transports (HTTP REST and WebSocket)
+const axios = require('axios');
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Both transports offer the same interface to JanusService:
+ *  - connect()                     open the connection (no-op for HTTP)
+ *  - send(message, options)        resolve the Janus reply to a request;
+ *                                  with awaitEvent an 'ack' is skipped and
+ *                                  the event for the transaction is returned
+ *  - close()
+ *
+ * Events:
+ *  - event (message)       Janus message no request is waiting for
+ *                          (participant joins, room destroyed, timeouts)
+ *  - closed ({ reason })   the connection went away by itself (WebSocket)
+ */
+
+/**
+ * Janus REST API. Asynchronous replies are fetched by polling the session.
+ */
+class HttpTransport extends EventEmitter {
+  constructor(baseUrl) {
+    super();
+    this.name = 'http';
+    this.url = baseUrl;
+    this.pollInterval = 500;
+  }
+
+  async connect() {
+    // Stateless - every request is its own HTTP call
+  }
+
+  async send(message, options = {}) {
+    const { sessionId, handleId, timeout = 10000, awaitEvent = false, eventTimeout = 30000 } = options;
+
+    let url = this.url;
+    if (sessionId) url += `/${sessionId}`;
+    if (handleId) url += `/${handleId}`;
+
+    const response = await axios.post(url, message, {
+      timeout,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (awaitEvent && response.data.janus === 'ack') {
+      logger.debug('Janus request acknowledged, polling for event', { transaction: message.transaction });
+      return this.pollForEvent(sessionId, message.transaction, eventTimeout);
+    }
+    return response.data;
+  }
+
+  /**
+   * Poll the session until the event for `transactionId` arrives. Other
+   * events picked up on the way are passed on rather than dropped.
+   */
+  async pollForEvent(sessionId, transactionId, timeoutMs) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeoutMs) {
+      try {
+        const eventResponse = await axios.get(`${this.url}/${sessionId}`, {
+          timeout: 5000,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        });
+
+        const data = eventResponse.data;
+        if (data.transaction === transactionId && data.janus !== 'ack') {
+          return data;
+        }
+        if (data.janus && data.janus !== 'keepalive') {
+          this.emit('event', data);
+        }
+
+      } catch (error) {
+        if (error.response?.status !== 204) {
+          logger.warn('Error while polling for Janus event', { error: error.message });
+        }
+      }
+
+      // Wait before next poll
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    throw new Error(`Timeout waiting for Janus event (${timeoutMs}ms)`);
+  }
+
+  async close() {
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Janus WebSocket API ('janus-protocol' subprotocol). Replies and events
+ * are pushed by Janus and matched to requests by transaction.
+ */
+class WebSocketTransport extends EventEmitter {
+  constructor(url) {
+    super();
+    this.name = 'websocket';
+    this.url = url;
+    this.ws = null;
+    this.pending = new Map(); // transaction -> { resolve, reject, timer, awaitEvent }
+    this.closing = false;
+  }
+
+  connect(timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url, 'janus-protocol');
+      let opened = false;
+
+      const timer = setTimeout(() => {
+        ws.terminate();
+        reject(new Error(`WebSocket connection timed out (${timeoutMs}ms)`));
+      }, timeoutMs);
+
+      ws.on('open', () => {
+        opened = true;
+        clearTimeout(timer);
+        this.ws = ws;
+        resolve();
+      });
+
+      ws.on('message', (data) => {
+        this.handleMessage(data);
+      });
+
+      ws.on('error', (error) => {
+        if (!opened) {
+          clearTimeout(timer);
+          reject(new Error(`WebSocket connection failed: ${error.message}`));
+        } else {
+          logger.warn('Janus WebSocket error', { error: error.message });
+        }
+      });
+
+      ws.on('close', (code, reason) => {
+        this.ws = null;
+        this.rejectPending(new Error('WebSocket closed'));
+        if (opened && !this.closing) {
+          this.emit('closed', { reason: `WebSocket closed (${code}${reason.length ? `: ${reason}` : ''})` });
+        }
+      });
+    });
+  }
+
+  send(message, options = {}) {
+    const { sessionId, handleId, timeout = 10000, awaitEvent = false, eventTimeout = 30000 } = options;
+
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('WebSocket not connected'));
+    }
+
+    const payload = { ...message };
+    if (sessionId) payload.session_id = sessionId;
+    if (handleId) payload.handle_id = handleId;
+
+    return new Promise((resolve, reject) => {
+      const waitMs = awaitEvent ? timeout + eventTimeout : timeout;
+      const timer = setTimeout(() => {
+        this.pending.delete(message.transaction);
+        reject(new Error(`Timeout waiting for Janus ${awaitEvent ? 'event' : 'reply'} (${waitMs}ms)`));
+      }, waitMs);
+
+      this.pending.set(message.transaction, { resolve, reject, timer, awaitEvent });
+
+      this.ws.send(JSON.stringify(payload), (error) => {
+        if (error) {
+          clearTimeout(timer);
+          this.pending.delete(message.transaction);
+          reject(new Error(`WebSocket send failed: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('Unreadable message from Janus', { error: error.message });
+      return;
+    }
+
+    const request = message.transaction ? this.pending.get(message.transaction) : null;
+    if (request) {
+      // An async request is answered by 'ack' first and the event later
+      if (message.janus === 'ack' && request.awaitEvent) {
+        return;
+      }
+      clearTimeout(request.timer);
+      this.pending.delete(message.transaction);
+      request.resolve(message);
+      return;
+    }
+
+    if (message.janus !== 'ack') {
+      this.emit('event', message);
+    }
+  }
+
+  rejectPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  async close() {
+    this.closing = true;
+    this.removeAllListeners();
+    this.rejectPending(new Error('Transport closed'));
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+}
+
+/**
+ * Transport for the configured janusTransport ('http' or 'websocket')
+ */
+function createTransport(config) {
+  const host = config.janusIP || '185.80.51.95';
+  if (config.janusTransport === 'websocket') {
+    return new WebSocketTransport(`ws://${host}:${config.janusWsPort || '8188'}`);
+  }
+  return new HttpTransport(`http://${host}:${config.janusPort || '8088'}/janus`);
+}
+
+module.exports = { HttpTransport, WebSocketTransport, createTransport };
@@ -0,0 +1,285 @@
+// src/services/LiveTakeover.js - Live Source Takeover
+const { spawn } = require('child_process');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const logger = require('../utils/logger');
+
+/**
+ * Puts a live feed on air in place of the automation.
+ *
+ * The feed is any audio byte stream FFmpeg can read (e.g. an HTTP/Ogg
+ * push). It is encoded to Ogg Opus and handed to the session's RTP
+ * streamer; the automation is paused and picks up where it left off
+ * when the feed ends, drops out or is released.
+ *
+ * State changes are reported on the 'radio-live' socket event.
+ */
+class LiveTakeover {
+  constructor(radioService, metadataService, socketIO) {
+    this.radioService = radioService;
+    this.metadataService = metadataService;
+    this.io = socketIO;
+
+    this.session = null;
+    this.timer = null;
+    this.lastSession = null;
+  }
+
+  isActive() {
+    return !!this.session;
+  }
+
+  /**
+   * Take over the outgoing stream with `input` (a readable stream).
+   * Resolves once the feed is on its way; `ended` resolves when the
+   * takeover is over.
+   */
+  async takeover(input, options = {}) {
+    const radio = this.radioService;
+
+    if (!radio.isRunning || radio.isStopping) {
+      return { success: false, message: 'Radio is not running' };
+    }
+    if (this.session) {
+      return { success: false, message: 'A live source is already on air' };
+    }
+
+    const config = await this.metadataService.getRadioConfig();
+    const presenter = options.presenter || 'Live';
+
+    // Claim the output before pausing so a second takeover is refused
+    this.session = {
+      presenter,
+      startedAt: new Date().toISOString(),
+      input,
+      process: null,
+      sourceId: null,
+      resumePoint: null,
+      bytesReceived: 0,
+      feederStartedAt: null
+    };
+    const session = this.session;
+    session.ended = new Promise(resolve => {
+      session.resolve = resolve;
+    });
+
+    try {
+      session.resumePoint = await radio.suspendAutomation();
+
+      // The radio may have gone off air (and ended this session) meanwhile
+      if (this.session !== session || !radio.isRunning || radio.isStopping || !radio.rtpStreamer) {
+        throw new Error('Radio went off air');
+      }
+
+      this.startFeeder(session, config);
+    } catch (error) {
+      logger.error('Live takeover failed:', error);
+      await this.abortSetup(session);
+      return { success: false, message: `Live takeover failed: ${error.message}` };
+    }
+
+    logger.info('Live source took over', {
+      presenter,
+      resumeTrack: session.resumePoint?.trackId || null,
+      resumeOffset: session.resumePoint?.offset ?? null
+    });
+    this.emitEvent(true, { presenter, startedAt: session.startedAt });
+
+    return { success: true, message: 'Live source on air', live: this.getStatus(), ended: session.ended };
+  }
+
+  /**
+   * Encode the session's input and put it on the streamer
+   */
+  startFeeder(session, config) {
+    const radio = this.radioService;
+    const input = session.input;
+
+    const args = [
+      '-hide_banner',
+      '-i', 'pipe:0',
+      '-map', '0:a:0',
+      '-c:a', 'libopus',
+      '-b:a', process.env.FFMPEG_BITRATE || '128k',
+      '-ar', '48000',
+      '-ac', '2',
+      '-application', 'audio',
+      '-frame_duration', '20',
+      '-page_duration', '100000',  // Short Ogg pages keep latency low
+      '-f', 'ogg',
+      'pipe:1'
+    ];
+
+    const feeder = spawn(ffmpegPath, args);
+    session.process = feeder;
+    session.sourceId = ++radio.sourceCounter;
+    session.feederStartedAt = Date.now();
+
+    feeder.stdin.on('error', () => {}); // Feed cut off mid-write
+    feeder.stderr.on('data', (data) => {
+      const output = data.toString().trim();
+      if (output.includes('error') || output.includes('Error')) {
+        logger.warn(`FFmpeg [live] Warning: ${output}`);
+      }
+    });
+    feeder.on('error', (error) => {
+      logger.error('Live feed encoder error:', error);
+    });
+    feeder.on('close', (code) => {
+      this.end(session, code === 0 ? 'feed-ended' : 'feed-error').catch(error => {
+        logger.error('Failed to end live takeover:', error);
+      });
+    });
+
+    input.on('data', (chunk) => {
+      session.bytesReceived += chunk.length;
+    });
+    input.on('aborted', () => {
+      this.end(session, 'feed-dropped').catch(error => {
+        logger.error('Failed to end live takeover:', error);
+      });
+    });
+    input.pipe(feeder.stdin);
+
+    radio.rtpStreamer.addSource(session.sourceId, feeder.stdout);
+
+    // A feed whose audio stops going out has dropped out. This is measured
+    // on the streamer: input held back by its full buffer is still live.
+    const timeoutMs = (config.liveTimeoutSeconds ?? 5) * 1000;
+    this.timer = setInterval(() => {
+      const lastSentAt = radio.rtpStreamer?.getSourceLastSentAt(session.sourceId) ?? session.feederStartedAt;
+      if (Date.now() - lastSentAt >= timeoutMs) {
+        this.end(session, 'feed-timeout').catch(error => {
+          logger.error('Failed to end live takeover:', error);
+        });
+      }
+    }, 1000);
+  }
+
+  /**
+   * Undo a takeover that failed before it went on air: stop the encoder,
+   * free the output and give it back to the automation
+   */
+  async abortSetup(session) {
+    this.stopFeeder(session);
+
+    if (this.session !== session) {
+      return; // Already ended (radio stopped)
+    }
+    this.session = null;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    session.resolve({ reason: 'setup-failed', durationMs: 0 });
+
+    const radio = this.radioService;
+    if (radio.isRunning && !radio.isStopping) {
+      await radio.resumeAutomation(session.resumePoint);
+    }
+  }
+
+  /**
+   * Detach the input from the encoder and kill it
+   */
+  stopFeeder(session) {
+    session.input.unpipe();
+    session.input.resume(); // Discard whatever is still being pushed
+    if (!session.process) return;
+
+    session.process.removeAllListeners('close');
+    session.process.stdin.destroy(); // FFmpeg ignores SIGTERM while blocked reading the feed
+    if (session.process.exitCode === null) {
+      session.process.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Hand the stream back to the automation
+   */
+  async release(reason = 'released') {
+    if (!this.session) {
+      return { success: false, message: 'No live source on air' };
+    }
+    const result = await this.end(this.session, reason);
+    return { success: true, message: 'Live source released', ...result };
+  }
+
+  /**
+   * End a takeover. The rest of a feed that ended by itself still plays
+   * out; otherwise the output switches back at once.
+   */
+  async end(session, reason, options = {}) {
+    if (this.session !== session) {
+      return null; // Already ended
+    }
+    this.session = null;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const radio = this.radioService;
+    this.stopFeeder(session);
+    if (session.sourceId !== null && reason !== 'feed-ended' && radio.rtpStreamer) {
+      radio.rtpStreamer.dropSource(session.sourceId);
+    }
+
+    const durationMs = Date.now() - new Date(session.startedAt).getTime();
+    this.lastSession = {
+      presenter: session.presenter,
+      startedAt: session.startedAt,
+      endedAt: new Date().toISOString(),
+      durationMs,
+      reason
+    };
+
+    logger.info('Live source ended', { presenter: session.presenter, reason, durationMs });
+    this.emitEvent(false, { presenter: session.presenter, reason, durationMs });
+
+    const result = { reason, durationMs };
+    session.resolve(result);
+
+    if (options.resume !== false && radio.isRunning && !radio.isStopping) {
+      await radio.resumeAutomation(session.resumePoint);
+    }
+    return result;
+  }
+
+  /**
+   * Radio going off air - end the feed without resuming the automation
+   */
+  async stop() {
+    if (this.session) {
+      await this.end(this.session, 'radio-stopped', { resume: false });
+    }
+  }
+
+  emitEvent(active, data = {}) {
+    this.io.emit('radio-live', {
+      active,
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  getStatus() {
+    const session = this.session;
+    if (!session) {
+      return { active: false, lastSession: this.lastSession };
+    }
+    return {
+      active: true,
+      presenter: session.presenter,
+      startedAt: session.startedAt,
+      durationMs: Date.now() - new Date(session.startedAt).getTime(),
+      bytesReceived: session.bytesReceived,
+      resumePoint: session.resumePoint
+        ? { trackId: session.resumePoint.trackId, offset: session.resumePoint.offset }
+        : null,
+      lastSession: this.lastSession
+    };
+  }
+}
+
+module.exports = LiveTakeover;
@@ -3,11 +3,38 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const PlayHistoryStore = require('./PlayHistoryStore');
+
+// Categories for short-form items inserted between regular tracks
+const FILE_CATEGORIES = ['jingle', 'station_id', 'promo'];
+
+// Built-in encoding profiles (bitrate null = FFMPEG_BITRATE)
+function getDefaultEncodingProfiles() {
+  return [
+    {
+      id: 'standard',
+      name: 'Standard',
+      bitrate: null,
+      loudnorm: { enabled: false, integratedLufs: -16, truePeakDb: -1.5, lra: 11 }
+    },
+    {
+      id: 'normalized',
+      name: 'Loudness normalized',
+      bitrate: null,
+      loudnorm: { enabled: true, integratedLufs: -16, truePeakDb: -1.5, lra: 11 }
+    }
+  ];
+}
 
 class MetadataService {
   constructor() {
     this.dbPath = path.join(process.env.METADATA_DIR || './data/metadata', 'database.json');
     this.data = null;
+    
+    // As-run log, kept out of database.json (see PlayHistoryStore)
+    this.playHistory = new PlayHistoryStore(path.join(path.dirname(this.dbPath), 'history'));
+    this.openPlayHistory = new Map(); // entryId -> entry still on air
+    this.lastHistoryPrune = null;
   }
 
   getDefaultData() {
@@ -47,14 +74,65 @@ class MetadataService {
         // Janus AudioBridge configuration with correct defaults
         janusIP: '185.80.51.95',
         janusPort: '8088',
+        janusTransport: 'http',
+        janusWsPort: '8188',
+        janusReconnectAttempts: 10,
+        janusReconnectBackoffInitial: 2,
+        janusReconnectBackoffMax: 60,
+        janusEndpoints: [],
+        janusFailback: false,
+        janusFailbackCheckSeconds: 60,
         janusRoomId: '3183360752998701',
         janusParticipantName: 'RadioStation',
         janusRoomSecret: '',
         janusRoomPin: '',
+        janusAdminKey: '',
         maxConsecutiveSkips: 5,
-        autoRestart: false,
+        autoRestart: false, // Go back on air by itself after a restart or failure
+        // Supervisor restart backoff in seconds, doubling per failed attempt
+        supervisorBackoffInitial: 5,
+        supervisorBackoffMax: 300,
+        supervisorMaxRestartsPerHour: 10,
+        resumePlayback: true, // Start where playback left off (track and offset)
+        // Dead air watchdog: thresholds in seconds (0 = check off)
+        deadAirStallSeconds: 5,
+        deadAirSilenceSeconds: 0, // Off: silencedetect makes every feeder decode
+        deadAirSilenceThresholdDb: -50,
+        deadAirAction: 'skip', // skip, restart or none
+        deadAirRestartSeconds: 30, // Restart when dead air outlasts the action
+        // Played instead of going off air when the main source fails
+        fallbackPlaylistId: null,
+        fallbackFileId: null, // Single loop file, used when no fallback playlist plays
+        fallbackRecheckSeconds: 60, // How often to try the main source again
+        liveStreamKey: '', // Required to push a live feed when set
+        liveTimeoutSeconds: 5, // A live feed silent this long has dropped out
+        // Track transitions in seconds (0 = off, keeps the zero-CPU copy path)
+        crossfadeDuration: 0,
+        fadeInDuration: 0,
+        fadeOutDuration: 0,
+        activePlaylistId: null, // null = whole library
+        // Rotation: minimum tracks between same artist/album/title, no-repeat window in hours (0 = off)
+        rotationArtistSeparation: 3,
+        rotationAlbumSeparation: 2,
+        rotationTitleSeparation: 10,
+        rotationRepeatWindowHours: 0,
+        historyRetentionDays: 400, // As-run log retention (0 = keep forever)
+        updatedAt: null
+      },
+      // Weekly program schedule (programs bound to recurring time slots)
+      schedule: {
+        programs: [],
+        slots: [],
         updatedAt: null
       },
+      // Rules inserting jingles, station IDs and promos between tracks
+      insertionRules: [],
+      // Named, ordered playlists (items are file IDs)
+      playlists: [],
+      // Items queued to play before the rotation, in play order
+      playQueue: [],
+      // Extra AudioBridge rooms the station is sent to (besides radioConfig's)
+      outputTargets: [],
       // NEW: File import configuration
       importConfig: {
         autoImportEnabled: false,
@@ -64,6 +142,16 @@ class MetadataService {
         reencodedMonitoringInterval: 3600000, // 1 hour in milliseconds
         updatedAt: null
       },
+      // Encoding options applied to every new encode
+      encodingConfig: {
+        silenceTrim: 'off', // off | trim | cue
+        silenceThresholdDb: -50,
+        silenceMinDuration: 0.5, // seconds
+        // Profile used when an encode doesn't name one
+        defaultProfile: 'standard',
+        profiles: getDefaultEncodingProfiles(),
+        updatedAt: null
+      },
       // Active encoding jobs persistence
       activeJobs: [],
       jobHistory: []
@@ -74,6 +162,7 @@ class MetadataService {
     try {
       // Ensure directory exists
       await fs.ensureDir(path.dirname(this.dbPath));
+      await this.playHistory.initialize();
       
       // Read or create database
       if (await fs.pathExists(this.dbPath)) {
@@ -137,12 +226,44 @@ class MetadataService {
         // Janus configuration with correct defaults
         janusIP: '185.80.51.95',
         janusPort: '8088',
+        janusTransport: 'http',
+        janusWsPort: '8188',
+        janusReconnectAttempts: 10,
+        janusReconnectBackoffInitial: 2,
+        janusReconnectBackoffMax: 60,
+        janusEndpoints: [],
+        janusFailback: false,
+        janusFailbackCheckSeconds: 60,
         janusRoomId: '3183360752998701',
         janusParticipantName: 'RadioStation',
         janusRoomSecret: '',
         janusRoomPin: '',
+        janusAdminKey: '',
         maxConsecutiveSkips: 5,
         autoRestart: false,
+        supervisorBackoffInitial: 5,
+        supervisorBackoffMax: 300,
+        supervisorMaxRestartsPerHour: 10,
+        resumePlayback: true,
+        deadAirStallSeconds: 5,
+        deadAirSilenceSeconds: 0,
+        deadAirSilenceThresholdDb: -50,
+        deadAirAction: 'skip',
+        deadAirRestartSeconds: 30,
+        fallbackPlaylistId: null,
+        fallbackFileId: null,
+        fallbackRecheckSeconds: 60,
+        liveStreamKey: '',
+        liveTimeoutSeconds: 5,
+        crossfadeDuration: 0,
+        fadeInDuration: 0,
+        fadeOutDuration: 0,
+        activePlaylistId: null,
+        rotationArtistSeparation: 3,
+        rotationAlbumSeparation: 2,
+        rotationTitleSeparation: 10,
+        rotationRepeatWindowHours: 0,
+        historyRetentionDays: 400,
         updatedAt: new Date().toISOString()
       };
       needsWrite = true;
@@ -152,12 +273,44 @@ class MetadataService {
       const defaultConfig = {
         janusIP: '185.80.51.95',
         janusPort: '8088',
+        janusTransport: 'http',
+        janusWsPort: '8188',
+        janusReconnectAttempts: 10,
+        janusReconnectBackoffInitial: 2,
+        janusReconnectBackoffMax: 60,
+        janusEndpoints: [],
+        janusFailback: false,
+        janusFailbackCheckSeconds: 60,
         janusRoomId: '3183360752998701',
         janusParticipantName: 'RadioStation',
         janusRoomSecret: '',
         janusRoomPin: '',
+        janusAdminKey: '',
         maxConsecutiveSkips: 5,
-        autoRestart: false
+        autoRestart: false,
+        supervisorBackoffInitial: 5,
+        supervisorBackoffMax: 300,
+        supervisorMaxRestartsPerHour: 10,
+        resumePlayback: true,
+        deadAirStallSeconds: 5,
+        deadAirSilenceSeconds: 0,
+        deadAirSilenceThresholdDb: -50,
+        deadAirAction: 'skip',
+        deadAirRestartSeconds: 30,
+        fallbackPlaylistId: null,
+        fallbackFileId: null,
+        fallbackRecheckSeconds: 60,
+        liveStreamKey: '',
+        liveTimeoutSeconds: 5,
+        crossfadeDuration: 0,
+        fadeInDuration: 0,
+        fadeOutDuration: 0,
+        activePlaylistId: null,
+        rotationArtistSeparation: 3,
+        rotationAlbumSeparation: 2,
+        rotationTitleSeparation: 10,
+        rotationRepeatWindowHours: 0,
+        historyRetentionDays: 400
       };
       
       let configUpdated = false;
@@ -171,10 +324,49 @@ class MetadataService {
       if (configUpdated) {
         this.data.radioConfig.updatedAt = new Date().toISOString();
         needsWrite = true;
-        logger.info('Updated radio configuration with missing Janus fields');
+        logger.info('Updated radio configuration with missing fields');
       }
     }
     
+    // Add program schedule
+    if (!this.data.schedule) {
+      this.data.schedule = {
+        programs: [],
+        slots: [],
+        updatedAt: new Date().toISOString()
+      };
+      needsWrite = true;
+      logger.info('Added program schedule to database');
+    }
+    
+    // Add jingle/station ID insertion rules
+    if (!this.data.insertionRules) {
+      this.data.insertionRules = [];
+      needsWrite = true;
+      logger.info('Added insertion rules to database');
+    }
+    
+    // Add extra output targets
+    if (!this.data.outputTargets) {
+      this.data.outputTargets = [];
+      needsWrite = true;
+      logger.info('Added output targets to database');
+    }
+    
+    // Add named playlists
+    if (!this.data.playlists) {
+      this.data.playlists = [];
+      needsWrite = true;
+      logger.info('Added named playlists to database');
+    }
+    
+    // Add play-next queue
+    if (!this.data.playQueue) {
+      this.data.playQueue = [];
+      needsWrite = true;
+      logger.info('Added play queue to database');
+    }
+    
     // NEW: Add import configuration
     if (!this.data.importConfig) {
       this.data.importConfig = {
@@ -204,6 +396,26 @@ class MetadataService {
       }
     }
     
+    // Add encoding configuration
+    if (!this.data.encodingConfig) {
+      this.data.encodingConfig = {
+        silenceTrim: 'off',
+        silenceThresholdDb: -50,
+        silenceMinDuration: 0.5,
+        defaultProfile: 'standard',
+        profiles: getDefaultEncodingProfiles(),
+        updatedAt: new Date().toISOString()
+      };
+      needsWrite = true;
+      logger.info('Added encoding configuration to database');
+    } else if (!this.data.encodingConfig.profiles) {
+      this.data.encodingConfig.defaultProfile = 'standard';
+      this.data.encodingConfig.profiles = getDefaultEncodingProfiles();
+      this.data.encodingConfig.updatedAt = new Date().toISOString();
+      needsWrite = true;
+      logger.info('Added encoding profiles to database');
+    }
+    
     // Version migration
     if (!currentVersion || currentVersion < '1.0.0') {
       this.data.system.version = '1.0.0';
@@ -256,13 +468,45 @@ class MetadataService {
       error: null,
       logs: [],
       
+      // Per-file radio transition overrides (null = station default)
+      transitions: null,
+      
+      // Cue points in seconds into the file ({ cueIn, cueOut, introEnd, outroStart }, null = unset)
+      // cueSource says per cue whether it was set by hand ('manual') or silence detection ('auto')
+      cues: null,
+      
+      // Leading/trailing silence found at encode time ({ start, end, leading, trailing, trimmed })
+      silence: null,
+      
+      // Encoding profile the file was (or is to be) encoded with, null = default
+      encodingProfile: null,
+      
+      // Loudness normalization stats from the last encode, null when not normalized
+      loudness: null,
+      
+      // Audio analysis report with problem flags (see AudioAnalysisService), null = not analyzed
+      analysis: null,
+      
+      // Insertion category (jingle|station_id|promo), null for regular tracks
+      category: null,
+      
+      // Rotation: expected plays per pass (null = 1) and play tracking
+      rotationWeight: null,
+      lastPlayedAt: null,
+      playCount: 0,
+      
       // Audio metadata (will be populated by FFmpeg)
       metadata: {
         duration: null,
         bitrate: null,
         title: null,
         artist: null,
-        album: null
+        album: null,
+        // Rights metadata for royalty reports
+        isrc: null,
+        composer: null,
+        label: null
+        // tagSource marks tags edited by hand ({ isrc: 'manual' }); re-extraction keeps those
       }
     };
     
@@ -308,6 +552,28 @@ class MetadataService {
     return file;
   }
 
+  /**
+   * Store metadata read from the audio file. Tags edited by hand
+   * (metadata.tagSource) keep their value.
+   */
+  async updateExtractedMetadata(fileId, extracted) {
+    const file = await this.getFile(fileId);
+    if (!file) {
+      throw new Error(`File not found: ${fileId}`);
+    }
+
+    const current = file.metadata || {};
+    const tagSource = current.tagSource || {};
+    const metadata = { ...current };
+    for (const [key, value] of Object.entries(extracted)) {
+      if (tagSource[key] !== 'manual') {
+        metadata[key] = value;
+      }
+    }
+
+    return this.updateFile(fileId, { metadata });
+  }
+
   async getFile(fileId) {
     return this.data.files.find(f => f.id === fileId) || null;
   }
@@ -320,6 +586,14 @@ class MetadataService {
       files = files.filter(f => f.status === filters.status);
     }
     
+    if (filters.category !== undefined) {
+      files = files.filter(f => (f.category || null) === filters.category);
+    }
+    
+    if (filters.flagged) {
+      files = files.filter(f => f.analysis?.flags?.length > 0);
+    }
+    
     if (filters.search) {
       const search = filters.search.toLowerCase();
       files = files.filter(f => 
@@ -343,8 +617,15 @@ class MetadataService {
     
     const file = this.data.files[fileIndex];
     
-    // Remove from database
+    // Remove from database and from every playlist
     this.data.files.splice(fileIndex, 1);
+    for (const playlist of this.data.playlists) {
+      playlist.items = playlist.items.filter(id => id !== fileId);
+    }
+    if (this.data.radioConfig.fallbackFileId === fileId) {
+      this.data.radioConfig.fallbackFileId = null;
+    }
+    this.data.playQueue = this.data.playQueue.filter(item => item.fileId !== fileId);
     
     // Update stats
     this.data.system.stats.totalFiles--;
@@ -448,6 +729,7 @@ class MetadataService {
       trackStartTime: null,
       lastRefresh: this.data.radio.lastRefresh,
       lastPlaylistUpdate: this.data.radio.lastPlaylistUpdate,
+      resumePoint: this.data.radio.resumePoint || null, // Keep where playback left off
       skipCount: 0
     };
     
@@ -457,6 +739,566 @@ class MetadataService {
     return true;
   }
 
+  // SCHEDULE MANAGEMENT METHODS
+
+  /**
+   * Get programs and slots of the weekly schedule
+   */
+  async getSchedule() {
+    return {
+      programs: [...this.data.schedule.programs],
+      slots: [...this.data.schedule.slots],
+      updatedAt: this.data.schedule.updatedAt
+    };
+  }
+
+  async getScheduleProgram(programId) {
+    return this.data.schedule.programs.find(p => p.id === programId) || null;
+  }
+
+  async addScheduleProgram(programData) {
+    const program = {
+      id: uuidv4(),
+      name: programData.name,
+      description: programData.description || '',
+      source: programData.source || 'library', // library|files|playlist
+      fileIds: programData.fileIds || [],
+      playlistId: programData.playlistId || null,
+      shuffle: programData.shuffle !== undefined ? programData.shuffle : true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    this.data.schedule.programs.push(program);
+    this.data.schedule.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Schedule program added', { programId: program.id, name: program.name });
+    return program;
+  }
+
+  async updateScheduleProgram(programId, updates) {
+    const program = this.data.schedule.programs.find(p => p.id === programId);
+    if (!program) {
+      throw new Error(`Program not found: ${programId}`);
+    }
+    
+    Object.assign(program, updates);
+    program.updatedAt = new Date().toISOString();
+    this.data.schedule.updatedAt = program.updatedAt;
+    
+    await this.writeData();
+    
+    logger.info('Schedule program updated', { programId, updates });
+    return program;
+  }
+
+  /**
+   * Delete a program together with all slots bound to it
+   */
+  async deleteScheduleProgram(programId) {
+    const programIndex = this.data.schedule.programs.findIndex(p => p.id === programId);
+    if (programIndex === -1) {
+      return false;
+    }
+    
+    this.data.schedule.programs.splice(programIndex, 1);
+    this.data.schedule.slots = this.data.schedule.slots.filter(s => s.programId !== programId);
+    this.data.schedule.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Schedule program deleted', { programId });
+    return true;
+  }
+
+  async getScheduleSlot(slotId) {
+    return this.data.schedule.slots.find(s => s.id === slotId) || null;
+  }
+
+  async addScheduleSlot(slotData) {
+    const slot = {
+      id: uuidv4(),
+      programId: slotData.programId,
+      days: slotData.days,
+      startTime: slotData.startTime,
+      endTime: slotData.endTime,
+      enabled: slotData.enabled !== undefined ? slotData.enabled : true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    this.data.schedule.slots.push(slot);
+    this.data.schedule.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Schedule slot added', { slotId: slot.id, programId: slot.programId });
+    return slot;
+  }
+
+  async updateScheduleSlot(slotId, updates) {
+    const slot = this.data.schedule.slots.find(s => s.id === slotId);
+    if (!slot) {
+      throw new Error(`Slot not found: ${slotId}`);
+    }
+    
+    Object.assign(slot, updates);
+    slot.updatedAt = new Date().toISOString();
+    this.data.schedule.updatedAt = slot.updatedAt;
+    
+    await this.writeData();
+    
+    logger.info('Schedule slot updated', { slotId, updates });
+    return slot;
+  }
+
+  async deleteScheduleSlot(slotId) {
+    const slotIndex = this.data.schedule.slots.findIndex(s => s.id === slotId);
+    if (slotIndex === -1) {
+      return false;
+    }
+    
+    this.data.schedule.slots.splice(slotIndex, 1);
+    this.data.schedule.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Schedule slot deleted', { slotId });
+    return true;
+  }
+
+  // PLAYLIST MANAGEMENT METHODS
+
+  async getPlaylists() {
+    return [...this.data.playlists];
+  }
+
+  async getPlaylist(playlistId) {
+    return this.data.playlists.find(p => p.id === playlistId) || null;
+  }
+
+  /**
+   * Resolve playlist items to file records, in playlist order
+   */
+  async getPlaylistFiles(playlistId) {
+    const playlist = await this.getPlaylist(playlistId);
+    if (!playlist) {
+      return [];
+    }
+    
+    return playlist.items
+      .map(fileId => this.data.files.find(f => f.id === fileId))
+      .filter(Boolean);
+  }
+
+  async addPlaylist(playlistData) {
+    const playlist = {
+      id: uuidv4(),
+      name: playlistData.name,
+      description: playlistData.description || '',
+      items: playlistData.items || [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    this.data.playlists.push(playlist);
+    await this.writeData();
+    
+    logger.info('Playlist created', { playlistId: playlist.id, name: playlist.name, items: playlist.items.length });
+    return playlist;
+  }
+
+  async updatePlaylist(playlistId, updates) {
+    const playlist = this.data.playlists.find(p => p.id === playlistId);
+    if (!playlist) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+    
+    Object.assign(playlist, updates);
+    playlist.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Playlist updated', { playlistId, fields: Object.keys(updates) });
+    return playlist;
+  }
+
+  async duplicatePlaylist(playlistId, name) {
+    const source = await this.getPlaylist(playlistId);
+    if (!source) {
+      throw new Error(`Playlist not found: ${playlistId}`);
+    }
+    
+    return this.addPlaylist({
+      name: name || `${source.name} (copy)`,
+      description: source.description,
+      items: [...source.items]
+    });
+  }
+
+  async deletePlaylist(playlistId) {
+    const playlistIndex = this.data.playlists.findIndex(p => p.id === playlistId);
+    if (playlistIndex === -1) {
+      return false;
+    }
+    
+    this.data.playlists.splice(playlistIndex, 1);
+    
+    if (this.data.radioConfig.activePlaylistId === playlistId) {
+      this.data.radioConfig.activePlaylistId = null;
+    }
+    if (this.data.radioConfig.fallbackPlaylistId === playlistId) {
+      this.data.radioConfig.fallbackPlaylistId = null;
+    }
+    
+    await this.writeData();
+    
+    logger.info('Playlist deleted', { playlistId });
+    return true;
+  }
+
+  // INSERTION RULE METHODS
+
+  async getInsertionRules() {
+    return [...this.data.insertionRules];
+  }
+
+  async getInsertionRule(ruleId) {
+    return this.data.insertionRules.find(r => r.id === ruleId) || null;
+  }
+
+  async addInsertionRule(ruleData) {
+    const rule = {
+      id: uuidv4(),
+      name: ruleData.name || `${ruleData.category} ${ruleData.trigger}`,
+      category: ruleData.category,
+      trigger: ruleData.trigger, // every_n_tracks|every_n_minutes|top_of_hour
+      interval: ruleData.interval || null,
+      enabled: ruleData.enabled !== undefined ? ruleData.enabled : true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    this.data.insertionRules.push(rule);
+    await this.writeData();
+    
+    logger.info('Insertion rule added', { ruleId: rule.id, category: rule.category, trigger: rule.trigger });
+    return rule;
+  }
+
+  async updateInsertionRule(ruleId, updates) {
+    const rule = this.data.insertionRules.find(r => r.id === ruleId);
+    if (!rule) {
+      throw new Error(`Insertion rule not found: ${ruleId}`);
+    }
+    
+    Object.assign(rule, updates);
+    rule.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Insertion rule updated', { ruleId, updates });
+    return rule;
+  }
+
+  async deleteInsertionRule(ruleId) {
+    const ruleIndex = this.data.insertionRules.findIndex(r => r.id === ruleId);
+    if (ruleIndex === -1) {
+      return false;
+    }
+    
+    this.data.insertionRules.splice(ruleIndex, 1);
+    await this.writeData();
+    
+    logger.info('Insertion rule deleted', { ruleId });
+    return true;
+  }
+
+  // OUTPUT TARGET METHODS
+
+  async getOutputTargets() {
+    return [...this.data.outputTargets];
+  }
+
+  async getOutputTarget(targetId) {
+    return this.data.outputTargets.find(t => t.id === targetId) || null;
+  }
+
+  async addOutputTarget(targetData) {
+    const target = {
+      id: uuidv4(),
+      name: targetData.name || `Room ${targetData.janusRoomId}`,
+      janusIP: targetData.janusIP,
+      janusPort: targetData.janusPort || null,
+      janusTransport: targetData.janusTransport || null,
+      janusWsPort: targetData.janusWsPort || null,
+      janusRoomId: targetData.janusRoomId,
+      janusRoomSecret: targetData.janusRoomSecret || '',
+      janusRoomPin: targetData.janusRoomPin || '',
+      enabled: targetData.enabled !== undefined ? targetData.enabled : true,
+      createdAt: new Date().toISOString()
+    };
+    
+    this.data.outputTargets.push(target);
+    await this.writeData();
+    
+    logger.info('Output target added', { targetId: target.id, janusIP: target.janusIP, room: target.janusRoomId });
+    return target;
+  }
+
+  async updateOutputTarget(targetId, updates) {
+    const target = this.data.outputTargets.find(t => t.id === targetId);
+    if (!target) {
+      throw new Error(`Output target not found: ${targetId}`);
+    }
+    
+    Object.assign(target, updates);
+    target.updatedAt = new Date().toISOString();
+    
+    await this.writeData();
+    
+    logger.info('Output target updated', { targetId, janusIP: target.janusIP, room: target.janusRoomId, enabled: target.enabled });
+    return target;
+  }
+
+  async deleteOutputTarget(targetId) {
+    const targetIndex = this.data.outputTargets.findIndex(t => t.id === targetId);
+    if (targetIndex === -1) {
+      return false;
+    }
+    
+    this.data.outputTargets.splice(targetIndex, 1);
+    await this.writeData();
+    
+    logger.info('Output target deleted', { targetId });
+    return true;
+  }
+
+  // PLAY QUEUE METHODS
+
+  async getPlayQueue() {
+    return [...this.data.playQueue];
+  }
+
+  /**
+   * Queue a file: `next` goes in front of the queue, `end` behind it.
+   * Items with `at` wait until that time.
+   */
+  async addQueueItem(itemData) {
+    const item = {
+      id: uuidv4(),
+      fileId: itemData.fileId,
+      originalName: itemData.originalName || null,
+      at: itemData.at ? new Date(itemData.at).toISOString() : null,
+      addedBy: itemData.addedBy || null,
+      addedAt: new Date().toISOString()
+    };
+    
+    if (itemData.position === 'next') {
+      this.data.playQueue.unshift(item);
+    } else {
+      this.data.playQueue.push(item);
+    }
+    await this.writeData();
+    
+    logger.info('Item queued', { itemId: item.id, fileId: item.fileId, position: itemData.position || 'end', at: item.at });
+    return item;
+  }
+
+  async removeQueueItem(itemId) {
+    const itemIndex = this.data.playQueue.findIndex(item => item.id === itemId);
+    if (itemIndex === -1) {
+      return false;
+    }
+    
+    this.data.playQueue.splice(itemIndex, 1);
+    await this.writeData();
+    
+    logger.info('Queue item removed', { itemId });
+    return true;
+  }
+
+  /**
+   * Put the queue in the given order (every queued ID exactly once)
+   */
+  async reorderPlayQueue(itemIds) {
+    const items = new Map(this.data.playQueue.map(item => [item.id, item]));
+    if (itemIds.length !== items.size || new Set(itemIds).size !== items.size ||
+        !itemIds.every(id => items.has(id))) {
+      throw new Error('Order must list every queued item exactly once');
+    }
+    
+    this.data.playQueue = itemIds.map(id => items.get(id));
+    await this.writeData();
+    
+    logger.info('Play queue reordered', { items: itemIds.length });
+    return [...this.data.playQueue];
+  }
+
+  async clearPlayQueue() {
+    const count = this.data.playQueue.length;
+    this.data.playQueue = [];
+    await this.writeData();
+    
+    logger.info('Play queue cleared', { count });
+    return count;
+  }
+
+  // PLAY HISTORY METHODS
+
+  /**
+   * Open an as-run entry for an item that went on air
+   */
+  async addPlayHistoryEntry(entryData) {
+    const entry = {
+      id: uuidv4(),
+      fileId: entryData.fileId,
+      originalName: entryData.originalName || null,
+      title: entryData.title || null,
+      artist: entryData.artist || null,
+      album: entryData.album || null,
+      isrc: entryData.isrc || null,
+      composer: entryData.composer || null,
+      label: entryData.label || null,
+      category: entryData.category || null,
+      inserted: !!entryData.inserted,
+      ruleId: entryData.ruleId || null,
+      programId: entryData.programId || null,
+      programName: entryData.programName || null,
+      trackDuration: entryData.trackDuration || null,
+      startedAt: entryData.startedAt || new Date().toISOString(),
+      endedAt: null,
+      durationPlayed: null,
+      endReason: null, // natural|skip|error|stop|live|interrupted
+      skippedBy: null,
+      error: null
+    };
+    
+    await this.prunePlayHistory();
+    await this.playHistory.append([entry]);
+    this.openPlayHistory.set(entry.id, entry);
+    
+    return entry;
+  }
+
+  /**
+   * Close an as-run entry with how and when it ended
+   */
+  async endPlayHistoryEntry(entryId, endReason, details = {}) {
+    const entry = this.openPlayHistory.get(entryId);
+    if (!entry) {
+      return null;
+    }
+    this.openPlayHistory.delete(entryId);
+    
+    const endedAt = details.endedAt || new Date().toISOString();
+    entry.endedAt = endedAt;
+    entry.durationPlayed = Math.max(0, (new Date(endedAt) - new Date(entry.startedAt)) / 1000);
+    entry.endReason = endReason;
+    entry.skippedBy = details.skippedBy || null;
+    entry.error = details.error || null;
+    
+    await this.playHistory.append([entry]);
+    return entry;
+  }
+
+  /**
+   * Close entries left open by a crash or restart. Only the last two days
+   * are read: anything older was closed on an earlier start.
+   */
+  async closeOpenPlayHistory() {
+    const days = (await this.playHistory.listDays()).slice(-2);
+    const open = (await this.playHistory.read(days[0], days[1]))
+      .filter(e => !e.endedAt && !this.openPlayHistory.has(e.id));
+    
+    for (const entry of open) {
+      // The real end is unknown - assume it played no longer than its length
+      const startedAt = new Date(entry.startedAt).getTime();
+      const assumedEnd = entry.trackDuration
+        ? Math.min(Date.now(), startedAt + entry.trackDuration * 1000)
+        : startedAt;
+      entry.endedAt = new Date(assumedEnd).toISOString();
+      entry.durationPlayed = (assumedEnd - startedAt) / 1000;
+      entry.endReason = 'interrupted';
+    }
+    
+    if (open.length > 0) {
+      await this.playHistory.append(open);
+      logger.info('Closed interrupted play history entries', { count: open.length });
+    }
+    return open.length;
+  }
+
+  /**
+   * Query the as-run log (newest first).
+   * `from`/`to` select entries overlapping the range, `at` the entry on air at that instant.
+   */
+  async getPlayHistory(filters = {}) {
+    const now = Date.now();
+    
+    // Only read the day files that can hold matches. An entry that
+    // overlaps the range may have started the day before it.
+    const starts = [filters.at, filters.from].filter(Boolean).map(v => new Date(v).getTime());
+    const ends = [filters.at, filters.to].filter(Boolean).map(v => new Date(v).getTime());
+    let entries = await this.playHistory.read(
+      starts.length ? PlayHistoryStore.getDay(Math.min(...starts) - 24 * 60 * 60 * 1000) : null,
+      ends.length ? PlayHistoryStore.getDay(Math.max(...ends)) : null
+    );
+    
+    const overlaps = (entry, from, to) => {
+      const start = new Date(entry.startedAt).getTime();
+      const end = entry.endedAt ? new Date(entry.endedAt).getTime() : now;
+      return start <= to && end >= from;
+    };
+    
+    if (filters.at) {
+      const at = new Date(filters.at).getTime();
+      entries = entries.filter(e => {
+        const start = new Date(e.startedAt).getTime();
+        const end = e.endedAt ? new Date(e.endedAt).getTime() : now;
+        return start <= at && at < end;
+      });
+    }
+    
+    if (filters.from || filters.to) {
+      const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+      const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+      entries = entries.filter(e => overlaps(e, from, to));
+    }
+    
+    if (filters.fileId) {
+      entries = entries.filter(e => e.fileId === filters.fileId);
+    }
+    
+    if (filters.endReason) {
+      entries = entries.filter(e => e.endReason === filters.endReason);
+    }
+    
+    if (filters.inserted !== undefined) {
+      entries = entries.filter(e => e.inserted === filters.inserted);
+    }
+    
+    return entries.reverse();
+  }
+
+  /**
+   * Drop day files older than the configured retention (once a day)
+   */
+  async prunePlayHistory() {
+    const days = this.data.radioConfig.historyRetentionDays;
+    const today = PlayHistoryStore.getDay(Date.now());
+    if (!days || this.lastHistoryPrune === today) return;
+    
+    this.lastHistoryPrune = today;
+    try {
+      await this.playHistory.prune(days);
+    } catch (error) {
+      logger.warn('Failed to prune play history:', error);
+    }
+  }
+
   // NEW: IMPORT CONFIGURATION METHODS
 
   /**
@@ -479,6 +1321,36 @@ class MetadataService {
     return { ...this.data.importConfig };
   }
 
+  // ENCODING CONFIGURATION METHODS
+
+  /**
+   * Get encoding configuration
+   */
+  async getEncodingConfig() {
+    return { ...this.data.encodingConfig };
+  }
+
+  /**
+   * Get an encoding profile by ID (default profile when no ID is given)
+   */
+  async getEncodingProfile(profileId = null) {
+    const id = profileId || this.data.encodingConfig.defaultProfile;
+    return this.data.encodingConfig.profiles.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Update encoding configuration
+   */
+  async updateEncodingConfig(config) {
+    Object.assign(this.data.encodingConfig, config);
+    this.data.encodingConfig.updatedAt = new Date().toISOString();
+
+    await this.writeData();
+
+    logger.info('Encoding configuration updated', config);
+    return { ...this.data.encodingConfig };
+  }
+
   // LOG MANAGEMENT METHODS
 
   async addLog(fileId, logEntry) {
@@ -680,4 +1552,19 @@ class MetadataService {
   }
 }
 
+/**
+ * Seconds of a file that go on air: from cue-in to cue-out (or the end)
+ */
+function getCuedDuration(file) {
+  const cues = file.cues || {};
+  const end = cues.cueOut ?? file.metadata?.duration ?? null;
+  if (end === null) {
+    return null;
+  }
+  return Math.max(0, end - (cues.cueIn || 0));
+}
+
+MetadataService.FILE_CATEGORIES = FILE_CATEGORIES;
+MetadataService.getCuedDuration = getCuedDuration;
+
 module.exports = MetadataService;
\ No newline at end of file
@@ -0,0 +1,324 @@
+// src/services/OutputTargets.js - Extra AudioBridge Output Targets
+const JanusService = require('./JanusService');
+const logger = require('../utils/logger');
+
+const MAIN_TARGET = 'main';
+const DEFAULT_RETRY_INITIAL = 2;  // seconds
+const DEFAULT_RETRY_MAX = 60;     // seconds
+
+// Target settings that need a new session when they change
+const CONNECTION_KEYS = [
+  'janusIP', 'janusPort', 'janusTransport', 'janusWsPort',
+  'janusRoomId', 'janusRoomSecret', 'janusRoomPin'
+];
+
+/**
+ * Sends the station to extra AudioBridge rooms besides the one in
+ * radioConfig.
+ *
+ * Each target has its own Janus session, room and SSRC and gets the same
+ * RTP packets from the session's streamer. Targets can be added, edited
+ * and removed while on air. A target that fails is reported but never
+ * takes the station off air: its session recovers on its own like the
+ * main one, and a target that cannot join (or whose recovery gives up) is
+ * dropped and joined again with backoff until it is disabled or removed.
+ *
+ * Changes are reported on the 'radio-output' socket event.
+ */
+class OutputTargets {
+  constructor(radioService, metadataService, socketIO) {
+    this.radioService = radioService;
+    this.metadataService = metadataService;
+    this.io = socketIO;
+
+    this.sessions = new Map(); // targetId -> { target, janus, error, connectedAt }
+    this.retries = new Map();  // targetId -> { timer, attempt, error, retryAt }
+  }
+
+  /**
+   * Settings for a target's Janus session: its own gateway and room,
+   * everything else from radioConfig
+   */
+  async getTargetConfig(target) {
+    const config = await this.metadataService.getRadioConfig();
+    const overrides = {};
+    for (const key of ['janusIP', 'janusPort', 'janusTransport', 'janusWsPort', 'janusRoomId']) {
+      if (target[key]) overrides[key] = target[key];
+    }
+
+    return {
+      ...config,
+      janusEndpoints: [],
+      janusRoomSecret: target.janusRoomSecret || '',
+      janusRoomPin: target.janusRoomPin || '',
+      ...overrides
+    };
+  }
+
+  /**
+   * Connect every enabled target (radio start)
+   */
+  async startAll() {
+    const targets = await this.metadataService.getOutputTargets();
+    await Promise.all(targets.filter(t => t.enabled).map(t => this.connect(t)));
+  }
+
+  /**
+   * Join the target's room and add it to the streamer
+   */
+  async connect(target) {
+    if (this.sessions.has(target.id)) {
+      return this.sessions.get(target.id);
+    }
+
+    const janus = new JanusService(this.metadataService, {
+      getConfig: () => this.getTargetConfig(target)
+    });
+    const session = { target, janus, error: null, connectedAt: null };
+    this.sessions.set(target.id, session);
+    const isCurrent = () => this.sessions.get(target.id) === session;
+
+    janus.on('state-change', (change) => {
+      this.emitEvent(target, change);
+    });
+    janus.on('session-recovered', ({ rtpDetails }) => {
+      if (!isCurrent()) return;
+      session.error = null;
+      this.radioService.rtpStreamer?.setTarget(rtpDetails, target.id);
+    });
+    janus.on('session-lost', ({ reason }) => {
+      if (!isCurrent()) return;
+      logger.error('Output target lost its Janus session', { targetId: target.id, name: target.name, reason });
+      this.drop(session, reason).catch(error => {
+        logger.error('Failed to drop output target session:', error);
+      });
+    });
+    janus.on('room-event', (event) => {
+      this.io.emit('radio-janus-event', {
+        ...event,
+        targetId: target.id,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    try {
+      const rtpDetails = await janus.establishSession();
+
+      if (!isCurrent()) {
+        // Removed while the session was being set up
+        await janus.cleanup();
+        return null;
+      }
+
+      session.connectedAt = new Date().toISOString();
+      this.retries.delete(target.id);
+      this.radioService.rtpStreamer?.setTarget(rtpDetails, target.id);
+      logger.info('Output target on air', { targetId: target.id, name: target.name, rtpDetails });
+
+    } catch (error) {
+      logger.error('Failed to connect output target', { targetId: target.id, name: target.name, error: error.message });
+      this.emitEvent(target, { state: 'failed', reason: error.message });
+      if (isCurrent()) {
+        await this.drop(session, error.message);
+      }
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Forget a failed or lost session and schedule the next join
+   */
+  async drop(session, reason) {
+    const { target, janus } = session;
+
+    this.sessions.delete(target.id);
+    this.radioService.rtpStreamer?.removeTarget(target.id);
+    janus.removeAllListeners();
+    await janus.cleanup().catch(error => {
+      logger.warn('Failed to clean up output target session', { targetId: target.id, error: error.message });
+    });
+
+    await this.scheduleRetry(target, reason);
+  }
+
+  /**
+   * Join the target again after a backoff that doubles per failed attempt
+   * (janusReconnectBackoffInitial up to janusReconnectBackoffMax)
+   */
+  async scheduleRetry(target, reason) {
+    const radio = this.radioService;
+    if (!radio.isRunning || radio.isStopping || this.sessions.has(target.id)) {
+      return;
+    }
+
+    const config = await this.metadataService.getRadioConfig();
+    const initialDelay = (config.janusReconnectBackoffInitial ?? DEFAULT_RETRY_INITIAL) * 1000;
+    const maxDelay = (config.janusReconnectBackoffMax ?? DEFAULT_RETRY_MAX) * 1000;
+
+    const previous = this.retries.get(target.id);
+    clearTimeout(previous?.timer);
+    const attempt = (previous?.attempt || 0) + 1;
+    const delay = Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+
+    const retry = {
+      attempt,
+      error: reason,
+      retryAt: new Date(Date.now() + delay).toISOString(),
+      timer: setTimeout(() => {
+        retry.timer = null;
+        this.retry(target.id, retry).catch(error => {
+          logger.error('Output target retry failed:', error);
+        });
+      }, delay)
+    };
+    this.retries.set(target.id, retry);
+
+    logger.info('Output target retry scheduled', { targetId: target.id, name: target.name, attempt, delay });
+    this.emitEvent(target, { state: 'retrying', reason, attempt, retryInMs: delay });
+  }
+
+  async retry(targetId, retry) {
+    // Join with the saved settings - the target may have been edited
+    const target = await this.metadataService.getOutputTarget(targetId);
+    if (this.retries.get(targetId) !== retry) return; // Cancelled meanwhile
+
+    const radio = this.radioService;
+    if (!target?.enabled || !radio.isRunning || radio.isStopping) {
+      this.retries.delete(targetId);
+      return;
+    }
+    await this.connect(target);
+  }
+
+  cancelRetry(targetId) {
+    const retry = this.retries.get(targetId);
+    if (!retry) return false;
+
+    clearTimeout(retry.timer);
+    this.retries.delete(targetId);
+    return true;
+  }
+
+  /**
+   * Take a target off the stream and close its session
+   */
+  async disconnect(targetId) {
+    const retrying = this.cancelRetry(targetId);
+    const session = this.sessions.get(targetId);
+    if (!session) return retrying;
+
+    this.sessions.delete(targetId);
+    this.radioService.rtpStreamer?.removeTarget(targetId);
+    await session.janus.cleanup();
+    session.janus.removeAllListeners();
+
+    logger.info('Output target disconnected', { targetId, name: session.target.name });
+    return true;
+  }
+
+  /**
+   * Close every target session (radio stop)
+   */
+  async stopAll() {
+    for (const targetId of this.retries.keys()) {
+      this.cancelRetry(targetId);
+    }
+    await Promise.all([...this.sessions.keys()].map(targetId => this.disconnect(targetId)));
+  }
+
+  /**
+   * Save a new target and put it on air at once when the radio is running
+   */
+  async add(targetData) {
+    const target = await this.metadataService.addOutputTarget(targetData);
+
+    if (target.enabled && this.radioService.isRunning && !this.radioService.isStopping) {
+      await this.connect(target);
+    }
+    return target;
+  }
+
+  /**
+   * Save target changes. While on air, a target that was disabled leaves
+   * its room, one that was enabled joins it, and a connection change
+   * rejoins with the new settings.
+   */
+  async update(targetId, updates) {
+    const previous = await this.metadataService.getOutputTarget(targetId);
+    if (!previous) return null;
+
+    const before = { ...previous };
+    const target = await this.metadataService.updateOutputTarget(targetId, updates);
+    const reconnect = before.enabled !== target.enabled ||
+      CONNECTION_KEYS.some(key => before[key] !== target[key]);
+
+    if (reconnect) {
+      await this.disconnect(targetId);
+      if (target.enabled && this.radioService.isRunning && !this.radioService.isStopping) {
+        await this.connect(target);
+      }
+    }
+    return target;
+  }
+
+  async remove(targetId) {
+    await this.disconnect(targetId);
+    return this.metadataService.deleteOutputTarget(targetId);
+  }
+
+  /**
+   * State and counters per target, the main room first
+   */
+  async getStatus() {
+    const radio = this.radioService;
+    const streamer = radio.rtpStreamer;
+    const mainJanus = radio.janusService.getStatus();
+
+    const outputs = [{
+      id: MAIN_TARGET,
+      name: 'Main',
+      janusIP: mainJanus.endpoint?.janusIP || null,
+      roomId: mainJanus.endpoint?.roomId || null,
+      enabled: true,
+      state: mainJanus.state,
+      error: null,
+      stream: streamer ? streamer.getTargetStats(MAIN_TARGET) : null,
+      healthy: radio.isRunning && mainJanus.state === 'joined'
+    }];
+
+    for (const target of await this.metadataService.getOutputTargets()) {
+      const session = this.sessions.get(target.id);
+      const retry = this.retries.get(target.id);
+      const state = session ? session.janus.state : (retry ? 'retrying' : 'off');
+
+      outputs.push({
+        id: target.id,
+        name: target.name,
+        janusIP: target.janusIP,
+        roomId: target.janusRoomId,
+        enabled: target.enabled,
+        state,
+        error: session?.error || retry?.error || null,
+        connectedAt: session?.connectedAt || null,
+        retryAt: retry?.retryAt || null,
+        stream: streamer ? streamer.getTargetStats(target.id) : null,
+        healthy: radio.isRunning && state === 'joined' && !!streamer?.getTargetStats(target.id)
+      });
+    }
+
+    return outputs;
+  }
+
+  emitEvent(target, details) {
+    this.io.emit('radio-output', {
+      targetId: target.id,
+      name: target.name,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = OutputTargets;
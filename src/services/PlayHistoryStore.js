@@ -0,0 +1,168 @@
+// src/services/PlayHistoryStore.js - Append-only As-run Log Storage
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Keeps the as-run log out of database.json, one JSONL file per UTC day
+ * (the day an entry started on).
+ *
+ * Lines are only ever appended: an entry is written when it goes on air
+ * and written again, complete, when it ends. Reading a day keeps the last
+ * line per entry id. Retention drops whole day files.
+ *
+ * A crash can cut the last line of a day file short. Before the first
+ * append to a day file, a missing trailing newline is added so the next
+ * line starts on its own and only the cut line is lost.
+ */
+class PlayHistoryStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.appending = Promise.resolve();
+    this.checkedDays = new Set(); // Day files known to end with a newline
+  }
+
+  async initialize() {
+    await fs.ensureDir(this.dir);
+  }
+
+  static getDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  getDayPath(day) {
+    return path.join(this.dir, `${day}.jsonl`);
+  }
+
+  /**
+   * Whether a day file is missing its trailing newline (false when the
+   * file is empty or does not exist)
+   */
+  async needsNewline(day) {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.getDayPath(day), 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      if (size === 0) return false;
+
+      const last = Buffer.alloc(1);
+      await handle.read(last, 0, 1, size - 1);
+      return last[0] !== 0x0a;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Append entry snapshots to their day files, one append at a time
+   */
+  append(entries) {
+    const lines = new Map();
+    for (const entry of entries) {
+      const day = PlayHistoryStore.getDay(entry.startedAt);
+      lines.set(day, (lines.get(day) || '') + JSON.stringify(entry) + '\n');
+    }
+
+    const write = this.appending.then(async () => {
+      for (const [day, text] of lines) {
+        let prefix = '';
+        if (!this.checkedDays.has(day)) {
+          if (await this.needsNewline(day)) {
+            logger.warn('Play history day file ends mid-line, starting a new line', { day });
+            prefix = '\n';
+          }
+          this.checkedDays.add(day);
+        }
+        try {
+          await fs.appendFile(this.getDayPath(day), prefix + text);
+        } catch (error) {
+          this.checkedDays.delete(day); // The failed write may have left half a line
+          throw error;
+        }
+      }
+    });
+    this.appending = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Day files on disk, oldest first
+   */
+  async listDays() {
+    const names = await fs.readdir(this.dir);
+    return names
+      .map(name => DAY_FILE.exec(name)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  /**
+   * Entries of one day file in start order (latest snapshot per id)
+   */
+  async readDay(day) {
+    let text;
+    try {
+      text = await fs.readFile(this.getDayPath(day), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = new Map();
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        const entry = JSON.parse(line);
+        entries.set(entry.id, entry);
+      } catch (error) {
+        // A line cut short by a crash (append() starts the next one on a new line)
+        logger.warn('Skipping unreadable play history line', { day });
+      }
+    }
+    return [...entries.values()];
+  }
+
+  /**
+   * Entries that started between the two days (inclusive, null = open),
+   * oldest first
+   */
+  async read(fromDay = null, toDay = null) {
+    const days = (await this.listDays()).filter(day =>
+      (!fromDay || day >= fromDay) && (!toDay || day <= toDay)
+    );
+
+    const entries = [];
+    for (const day of days) {
+      entries.push(...await this.readDay(day));
+    }
+    return entries;
+  }
+
+  /**
+   * Delete day files older than the given number of days
+   */
+  async prune(days) {
+    const cutoff = PlayHistoryStore.getDay(Date.now() - days * DAY_MS);
+    const expired = (await this.listDays()).filter(day => day < cutoff);
+
+    for (const day of expired) {
+      await fs.remove(this.getDayPath(day));
+      this.checkedDays.delete(day);
+    }
+    if (expired.length > 0) {
+      logger.info('Pruned play history', { days: expired.length, retentionDays: days });
+    }
+    return expired.length;
+  }
+}
+
+module.exports = PlayHistoryStore;
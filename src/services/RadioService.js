@@ -1,13 +1,28 @@
 // src/services/RadioService.js - Sequential FFmpeg Radio Stream Management
 const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const ffprobePath = require('@ffprobe-installer/ffprobe').path;
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('../utils/logger');
 const JanusService = require('./JanusService'); // NEW
+const ScheduleService = require('./ScheduleService');
+const RtpStreamer = require('./RtpStreamer');
+const RotationService = require('./RotationService');
+const RadioSupervisor = require('./RadioSupervisor');
+const DeadAirWatchdog = require('./DeadAirWatchdog');
+const LiveTakeover = require('./LiveTakeover');
+const OutputTargets = require('./OutputTargets');
+const MetadataService = require('./MetadataService');
 
-class RadioService {
+/**
+ * Events:
+ *  - radio-down ({ reason, message })  went off air without a user stop
+ */
+class RadioService extends EventEmitter {
   constructor(metadataService, socketIO) {
+    super();
     this.metadataService = metadataService;
     this.io = socketIO;
     
@@ -23,12 +38,88 @@ class RadioService {
     
     // Error handling
     this.skipCount = 0;
-    this.maxConsecutiveSkips = 5;
+    this.maxConsecutiveSkips = 5; // Default when radioConfig has none
     this.lastTrackStart = null;
     
     // NEW: Janus integration
     this.janusService = new JanusService(metadataService);
     this.rtpTarget = null;
+    this.janusService.on('session-lost', ({ reason }) => {
+      if (this.isRunning && !this.isStopping) {
+        logger.error('Janus session lost, taking radio off air', { reason });
+        this.stop('janus-lost', reason);
+      }
+    });
+    this.janusService.on('session-recovered', ({ rtpDetails, attempts }) => {
+      if (!this.isRunning || this.isStopping) return;
+      logger.info('Janus session recovered, moving stream to new RTP target', { rtpDetails, attempts });
+      this.rtpTarget = rtpDetails;
+      if (this.rtpStreamer) {
+        this.rtpStreamer.setTarget(rtpDetails);
+      }
+    });
+    this.janusService.on('state-change', (change) => {
+      this.io.emit('radio-janus-state', {
+        ...change,
+        timestamp: new Date().toISOString()
+      });
+    });
+    this.janusService.on('room-event', (event) => {
+      logger.info('Janus room event', event);
+      this.io.emit('radio-janus-event', {
+        ...event,
+        timestamp: new Date().toISOString()
+      });
+    });
+    
+    // Continuous RTP output (one streamer per radio session, one feeder per track)
+    this.rtpStreamer = null;
+    this.sourceCounter = 0;
+    this.sourceTracks = new Map();
+    this.feederSourceId = null;
+    
+    // Insertion rule state (per rule: regular tracks since last fire, last fire time)
+    this.insertionState = null;
+    this.lastInsertedFileId = null;
+    
+    // Crossfade tail left over by the previous track ({ track, offset, duration })
+    this.pendingCrossfade = null;
+    
+    // Program schedule (null program = default library rotation)
+    this.scheduleService = new ScheduleService(metadataService);
+    this.activeProgram = null;
+    this.activeSlot = null;
+    
+    // Rotation engine (shuffled playlists are rebuilt on every loop-around)
+    this.rotationService = new RotationService(metadataService);
+    this.playlistShuffled = false;
+    this.recentTracks = [];
+    
+    // As-run log entry of the item on air ({ sourceId, entry: Promise })
+    this.onAirHistory = null;
+    
+    // Resume point: track and offset are checkpointed while on air
+    this.checkpointTimer = null;
+    this.checkpointIntervalMs = 10000;
+    this.onAirEntry = null;
+    this.trackStartOffset = 0;
+    this.lastRegularIndex = null;
+    this.pendingResume = null; // { trackId, offset } for the first track after start
+    
+    // Fallback source while the main source is down
+    this.fallback = null; // { reason, message, since, source, tracks, index, lastCheck }
+    
+    // Restarts the radio after failures when autoRestart is on
+    this.supervisor = new RadioSupervisor(this, metadataService, socketIO);
+    
+    // Stall and silence detection on the outgoing stream
+    this.watchdog = new DeadAirWatchdog(this, metadataService, socketIO);
+    
+    // Live feeds that take over from the automation
+    this.live = new LiveTakeover(this, metadataService, socketIO);
+    
+    // Extra AudioBridge rooms fed the same stream
+    this.outputs = new OutputTargets(this, metadataService, socketIO);
     
     logger.info('RadioService initialized');
   }
@@ -46,6 +137,9 @@ class RadioService {
         this.currentIndex = radioState.currentIndex || 0;
       }
       
+      // Entries still open were on air when the server went down
+      await this.metadataService.closeOpenPlayHistory();
+      
       logger.info('RadioService initialized', {
         playlistSize: this.playlist.length,
         currentIndex: this.currentIndex
@@ -61,8 +155,13 @@ class RadioService {
   /**
    * Start the radio stream
    */
-  async start() {
+  async start(options = {}) {
     try {
+      // A start by hand replaces any restart the supervisor has planned
+      if (!options.supervised) {
+        this.supervisor.cancel();
+      }
+
       if (this.isRunning) {
         logger.warn('Radio is already running');
         return { success: false, message: 'Radio is already running' };
@@ -79,19 +178,31 @@ class RadioService {
         return { success: false, message: `Janus connection failed: ${error.message}` };
       }
       
-      // Refresh playlist from database
-      await this.refreshPlaylist();
+      // Resume where playback left off, or refresh playlist from database
+      const resumePoint = options.resume === false ? null : await this.restoreResumePoint(options);
+      if (!resumePoint) {
+        await this.refreshPlaylist();
+      }
       
-      if (this.playlist.length === 0) {
+      this.fallback = null;
+      if (this.playlist.length === 0 && !await this.enterFallback('empty-playlist', 'No encoded files available')) {
         logger.warn('Cannot start radio: no encoded files available');
         await this.janusService.cleanup(); // NEW: Cleanup on failure
         return { success: false, message: 'No encoded files available for streaming' };
       }
 
+      // Open the session's continuous RTP output
+      this.rtpStreamer = new RtpStreamer();
+      this.setupStreamerHandlers();
+      this.rtpStreamer.start(this.rtpTarget);
+      this.watchdog.start(this.rtpStreamer);
+      
       // Update state
       this.isRunning = true;
       this.isStopping = false;
       this.skipCount = 0;
+      this.resetInsertionState();
+      this.startCheckpoints();
       
       // Save radio state
       await this.metadataService.updateRadioState({
@@ -103,6 +214,11 @@ class RadioService {
 
       // Start playing
       this.playNextTrack();
+
+      // Extra output targets join in the background; a failing one never blocks the start
+      this.outputs.startAll().catch(error => {
+        logger.error('Failed to start output targets:', error);
+      });
       
       // Emit to clients
       this.io.emit('radio-started', {
@@ -112,7 +228,8 @@ class RadioService {
 
       logger.info('Radio started successfully', {
         playlistSize: this.playlist.length,
-        firstTrack: this.playlist[this.currentIndex]?.originalName
+        firstTrack: this.playlist[this.currentIndex]?.originalName,
+        resumedAt: resumePoint ? resumePoint.offset : null
       });
 
       return { success: true, message: 'Radio started successfully' };
@@ -120,6 +237,10 @@ class RadioService {
     } catch (error) {
       logger.error('Failed to start radio:', error);
       this.isRunning = false;
+      this.stopCheckpoints();
+      this.watchdog.stop();
+      this.stopStreamer();
+      await this.outputs.stopAll();
       await this.janusService.cleanup(); // NEW: Cleanup on error
       
       return { success: false, message: 'Failed to start radio: ' + error.message };
@@ -127,16 +248,21 @@ class RadioService {
   }
 
   /**
-   * Stop the radio stream
+   * Stop the radio stream. `reason` is 'user' for a requested stop; anything
+   * else means the radio went off air on its own and the supervisor is told.
    */
-  async stop() {
+  async stop(reason = 'user', message = null) {
     try {
+      if (reason === 'user') {
+        this.supervisor.cancel();
+      }
+
       if (!this.isRunning && !this.isStopping) {
         logger.warn('Radio is not running');
         return { success: false, message: 'Radio is not running' };
       }
 
-      logger.info('Stopping radio service...');
+      logger.info('Stopping radio service...', { reason });
       
       // Set stopping flag
       this.isStopping = true;
@@ -149,6 +275,9 @@ class RadioService {
         isRunning: false
       });
 
+      // End a live takeover without handing back to the automation
+      await this.live.stop();
+
       // Kill current FFmpeg process if running
       if (this.ffmpegProcess) {
         // Remove listeners to prevent auto-restart
@@ -169,12 +298,25 @@ class RadioService {
         this.ffmpegProcess = null;
       }
 
-      // Cleanup Janus session
+      // Remember where playback stopped
+      await this.saveCheckpoint();
+      this.stopCheckpoints();
+      this.watchdog.stop();
+      
+      await this.endOnAirHistory('stop');
+      this.stopStreamer();
+
+      // Cleanup Janus sessions
+      await this.outputs.stopAll();
       await this.janusService.cleanup();
       this.rtpTarget = null;
 
-      // Clear current track
+      // Clear current track and scheduled program
       this.currentTrack = null;
+      this.onAirEntry = null;
+      this.activeProgram = null;
+      this.activeSlot = null;
+      this.fallback = null;
       
       // FIXED: Properly clear both flags and update state
       this.isStopping = false;
@@ -186,15 +328,21 @@ class RadioService {
         isRunning: false,
         isStopping: false,  // CRITICAL: Reset this flag
         currentTrack: null,
+        fallback: null,
         stopTime: new Date().toISOString()
       });
 
       // Emit to clients
       this.io.emit('radio-stopped', {
-        message: 'Radio stopped by user'
+        message: reason === 'user' ? 'Radio stopped by user' : `Radio went off air: ${message || reason}`,
+        reason
       });
 
-      logger.info('Radio stopped successfully');
+      logger.info('Radio stopped successfully', { reason });
+      
+      if (reason !== 'user' && reason !== 'restart') {
+        this.emit('radio-down', { reason, message });
+      }
       return { success: true, message: 'Radio stopped successfully' };
       
     } catch (error) {
@@ -211,26 +359,65 @@ class RadioService {
         stopTime: new Date().toISOString()
       });
       
+      if (reason !== 'user' && reason !== 'restart') {
+        this.emit('radio-down', { reason, message });
+      }
+      
       return { success: false, message: 'Failed to stop radio: ' + error.message };
     }
   }
 
+  /**
+   * Take the radio off air and straight back on, resuming where it was
+   * (or with the next track when `nextTrack` is set)
+   */
+  async restart(reason, options = {}) {
+    logger.warn('Restarting radio', { reason });
+    await this.stop('restart', reason);
+    
+    const result = await this.start({ supervised: true, nextTrack: !!options.nextTrack });
+    if (!result.success) {
+      this.emit('radio-down', { reason: 'start-failed', message: result.message });
+    }
+    return result;
+  }
+
   /**
    * Skip to next track
    */
-  async skip() {
+  async skip(skippedBy = null) {
     try {
       if (!this.isRunning) {
         return { success: false, message: 'Radio is not running' };
       }
+      if (this.live.isActive()) {
+        return { success: false, message: 'A live source is on air' };
+      }
 
-      logger.info('Skipping current track...');
+      logger.info('Skipping current track...', { skippedBy });
       
-      // Kill current process - this will trigger playNextTrack via 'close' event
-      if (this.ffmpegProcess) {
+      // Drop whatever is on air; queued audio of the next track plays right away
+      const onAirSourceId = this.rtpStreamer?.currentSourceId;
+      const skippedTrack = this.sourceTracks.get(onAirSourceId)?.track || null;
+      if (this.onAirHistory && this.onAirHistory.sourceId === onAirSourceId) {
+        this.endOnAirHistory('skip', { skippedBy });
+      }
+      if (onAirSourceId) {
+        this.rtpStreamer.dropSource(onAirSourceId);
+        this.sourceTracks.delete(onAirSourceId);
+      }
+      
+      // A skipped track is not blended into the next one
+      if (skippedTrack && this.pendingCrossfade?.track.id === skippedTrack.id) {
+        this.pendingCrossfade = null;
+      }
+      
+      if (this.ffmpegProcess && (!onAirSourceId || this.feederSourceId === onAirSourceId)) {
+        // Kill the feeder of the skipped track - 'close' will trigger playNextTrack
+        this.ffmpegProcess.skipped = true;
         this.ffmpegProcess.kill('SIGTERM');
-      } else {
-        // No process running, start next track directly
+      } else if (!this.ffmpegProcess) {
+        // No feeder running, start next track directly
         this.playNextTrack();
       }
       
@@ -261,6 +448,7 @@ class RadioService {
       }
       
       this.playlist = validatedPlaylist;
+      this.playlistShuffled = false; // Keep the order given
       this.currentIndex = 0; // Reset to start of new playlist
       
       // Save updated playlist
@@ -286,38 +474,25 @@ class RadioService {
   }
 
   /**
-   * Refresh playlist from database
+   * Refresh playlist from database.
+   * Runs the active named playlist in its saved order, or the whole library
+   * shuffled when no playlist is selected. `shuffle` overrides either default.
    */
-  async refreshPlaylist(shuffle = true) {
+  async refreshPlaylist(shuffle) {
     try {
       logger.info('Refreshing playlist from database...');
       
-      // Get all encoded files
-      const files = await this.metadataService.getFiles({ status: 'completed' });
-      
-      // Validate files exist on disk
-      const validFiles = [];
-      for (const file of files) {
-        if (file.encodedPath && await fs.pathExists(file.encodedPath)) {
-          validFiles.push(file);
-        } else {
-          logger.warn('Encoded file missing, marking as failed:', file.id);
-          await this.metadataService.updateFile(file.id, { 
-            status: 'failed',
-            error: {
-              message: 'Encoded file not found on disk',
-              timestamp: new Date().toISOString()
-            }
-          });
-        }
-      }
+      const config = await this.metadataService.getRadioConfig();
+      const { namedPlaylist, files, validFiles } = await this.loadMainSource(config);
       
-      // Shuffle if requested
-      if (shuffle) {
-        validFiles.sort(() => 0.5 - Math.random());
+      if (shuffle === undefined) {
+        shuffle = !namedPlaylist;
       }
       
-      this.playlist = validFiles;
+      this.playlist = shuffle
+        ? this.rotationService.buildRotation(validFiles, config, this.recentTracks)
+        : validFiles;
+      this.playlistShuffled = !!shuffle;
       this.currentIndex = 0;
       
       // Save updated playlist
@@ -328,9 +503,11 @@ class RadioService {
       });
       
       logger.info('Playlist refreshed', { 
+        source: namedPlaylist ? namedPlaylist.name : 'library',
         totalFiles: files.length,
         validFiles: validFiles.length,
-        shuffled: shuffle
+        entries: this.playlist.length,
+        shuffled: !!shuffle
       });
       
       return { success: true, playlist: this.playlist };
@@ -342,25 +519,252 @@ class RadioService {
   }
 
   /**
-   * Play the next track in sequence
+   * Files of the main source: the active named playlist, or the whole
+   * library. Encoded files missing on disk are marked failed and left out.
+   */
+  async loadMainSource(config) {
+    const namedPlaylist = config.activePlaylistId
+      ? await this.metadataService.getPlaylist(config.activePlaylistId)
+      : null;
+    
+    let files;
+    if (namedPlaylist) {
+      files = (await this.metadataService.getPlaylistFiles(namedPlaylist.id))
+        .filter(file => file.status === 'completed');
+    } else {
+      // Jingles, station IDs and promos are inserted by rule, not rotated
+      files = await this.metadataService.getFiles({ status: 'completed', category: null });
+    }
+    
+    // Validate files exist on disk
+    const validFiles = [];
+    for (const file of files) {
+      if (file.encodedPath && await fs.pathExists(file.encodedPath)) {
+        validFiles.push(file);
+      } else {
+        logger.warn('Encoded file missing, marking as failed:', file.id);
+        await this.metadataService.updateFile(file.id, { 
+          status: 'failed',
+          error: {
+            message: 'Encoded file not found on disk',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+    
+    return { namedPlaylist, files, validFiles };
+  }
+
+  /**
+   * Select the named playlist the station runs (null = whole library)
+   */
+  async selectPlaylist(playlistId) {
+    try {
+      if (playlistId && !await this.metadataService.getPlaylist(playlistId)) {
+        return { success: false, message: 'Playlist not found' };
+      }
+      
+      await this.metadataService.updateRadioConfig({ activePlaylistId: playlistId || null });
+      logger.info('Active playlist selected', { playlistId: playlistId || 'library' });
+      
+      // A running scheduled program keeps its own tracks until its slot ends
+      if (!this.activeProgram) {
+        const result = await this.refreshPlaylist();
+        if (!result.success) {
+          return result;
+        }
+        
+        this.io.emit('radio-playlist-updated', {
+          playlist: this.playlist,
+          currentIndex: this.currentIndex,
+          activePlaylistId: playlistId || null
+        });
+      }
+      
+      return { success: true, activePlaylistId: playlistId || null, playlist: this.playlist };
+      
+    } catch (error) {
+      logger.error('Failed to select playlist:', error);
+      return { success: false, message: 'Failed to select playlist: ' + error.message };
+    }
+  }
+
+  /**
+   * Switch the playlist when the scheduled program changes
+   */
+  async applySchedule() {
+    const active = await this.scheduleService.getActiveSlot();
+    const programId = active?.program.id || null;
+    
+    if (programId === (this.activeProgram?.id || null)) {
+      this.activeSlot = active?.slot || null;
+      return;
+    }
+
+    const previousProgram = this.activeProgram;
+
+    if (active) {
+      const tracks = await this.scheduleService.buildProgramPlaylist(active.program);
+      
+      if (tracks.length === 0) {
+        logger.warn('Scheduled program has no playable tracks, keeping current playlist', {
+          program: active.program.name
+        });
+        return;
+      }
+      
+      if (active.program.shuffle) {
+        const config = await this.metadataService.getRadioConfig();
+        this.playlist = this.rotationService.buildRotation(tracks, config, this.recentTracks);
+      } else {
+        this.playlist = tracks;
+      }
+      this.playlistShuffled = !!active.program.shuffle;
+      this.currentIndex = 0;
+      this.activeProgram = active.program;
+      this.activeSlot = active.slot;
+    } else {
+      // Scheduled program ended - back to the default rotation
+      this.activeProgram = null;
+      this.activeSlot = null;
+      await this.refreshPlaylist();
+    }
+
+    await this.metadataService.updateRadioState({
+      playlist: this.playlist,
+      currentIndex: this.currentIndex,
+      activeProgramId: this.activeProgram?.id || null
+    });
+
+    logger.info('Scheduled program changed', {
+      from: previousProgram?.name || 'rotation',
+      to: this.activeProgram?.name || 'rotation',
+      playlistSize: this.playlist.length
+    });
+
+    this.io.emit('radio-program-changed', {
+      program: this.activeProgram,
+      slot: this.activeSlot,
+      previousProgram: previousProgram,
+      playlistSize: this.playlist.length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Play the next track in sequence. Never rejects: callers don't wait
+   * for it, and an unhandled rejection takes the whole server down.
    */
-  playNextTrack() {
+  async playNextTrack() {
+    try {
+      await this.advanceToNextTrack();
+    } catch (error) {
+      logger.error('Failed to pick next track:', error);
+      if (this.isStopping || !this.isRunning) {
+        return;
+      }
+
+      try {
+        await this.fallbackOrStop('error', `Failed to pick next track: ${error.message}`);
+      } catch (fallbackError) {
+        logger.error('Failed to switch to fallback, stopping radio:', fallbackError);
+        this.stop('error', fallbackError.message).catch(stopError => {
+          logger.error('Failed to stop radio:', stopError);
+        });
+      }
+    }
+  }
+
+  async advanceToNextTrack() {
     if (this.isStopping || !this.isRunning) {
       logger.info('Not playing next track - radio is stopping/stopped');
       return;
     }
+    if (this.live.isActive()) {
+      return; // Automation is paused while a live source is on air
+    }
+
+    // Let the schedule decide where the next track comes from
+    try {
+      await this.applySchedule();
+    } catch (error) {
+      logger.error('Failed to apply program schedule:', error);
+    }
+
+    if (this.isStopping || !this.isRunning) {
+      return;
+    }
+
+    const config = await this.metadataService.getRadioConfig();
+    const maxConsecutiveSkips = config.maxConsecutiveSkips || this.maxConsecutiveSkips;
+
+    // On the fallback source until the main source recovers
+    if (this.fallback && !await this.checkMainSource(config)) {
+      if (this.isStopping || !this.isRunning) {
+        return;
+      }
+      if (this.skipCount >= maxConsecutiveSkips) {
+        logger.error('Fallback source failing too, stopping radio', { maxConsecutiveSkips });
+        await this.stop('skip-limit', `${this.skipCount} consecutive fallback tracks failed`);
+        return;
+      }
+      this.playFallbackTrack();
+      return;
+    }
+
+    if (this.isStopping || !this.isRunning) {
+      return;
+    }
 
     // Check for too many consecutive skips
-    if (this.skipCount >= this.maxConsecutiveSkips) {
-      logger.error('Too many consecutive skips, stopping radio');
-      this.stop();
+    if (this.skipCount >= maxConsecutiveSkips) {
+      logger.error('Too many consecutive skips', { maxConsecutiveSkips });
+      await this.fallbackOrStop('skip-limit', `${this.skipCount} consecutive tracks failed`);
       return;
     }
 
     // Check if playlist is empty
     if (this.playlist.length === 0) {
-      logger.warn('Playlist is empty, stopping radio');
-      this.stop();
+      logger.warn('Playlist is empty');
+      await this.fallbackOrStop('empty-playlist', 'No playable tracks');
+      return;
+    }
+
+    // Jingles, station IDs and promos go between regular tracks
+    const insertion = await this.getDueInsertion();
+    
+    if (this.isStopping || !this.isRunning) {
+      return;
+    }
+    
+    if (insertion) {
+      logger.info('Inserting item by rule', {
+        track: insertion.file.originalName,
+        category: insertion.rule.category,
+        rule: insertion.rule.name
+      });
+      this.spawnFFmpegForTrack(insertion.file, {
+        insertion: { ruleId: insertion.rule.id, category: insertion.rule.category }
+      });
+      return;
+    }
+
+    // Queued items play before the rotation, which keeps its place
+    const queued = await this.takeQueuedTrack();
+
+    if (this.isStopping || !this.isRunning) {
+      return;
+    }
+
+    if (queued) {
+      logger.info('Playing queued track', {
+        track: queued.file.originalName,
+        itemId: queued.item.id,
+        at: queued.item.at
+      });
+      this.countRegularTrack();
+      this.spawnFFmpegForTrack(queued.file, { queued: queued.item });
       return;
     }
 
@@ -368,138 +772,999 @@ class RadioService {
     if (this.currentIndex >= this.playlist.length) {
       this.currentIndex = 0;
       this.skipCount = 0; // Reset skip count on playlist loop
+      
+      if (this.playlistShuffled) {
+        await this.rebuildRotation();
+        
+        if (this.isStopping || !this.isRunning) {
+          return;
+        }
+        if (this.playlist.length === 0) {
+          logger.warn('Rotation is empty');
+          await this.fallbackOrStop('empty-playlist', 'No playable tracks');
+          return;
+        }
+      }
     }
 
     const track = this.playlist[this.currentIndex];
     this.currentIndex++;
     
+    // First track after a resume continues at the saved offset
+    const startOffset = this.pendingResume?.trackId === track.id ? this.pendingResume.offset : 0;
+    this.pendingResume = null;
+    
     logger.info('Playing next track', {
       track: track.originalName,
       index: this.currentIndex - 1,
-      total: this.playlist.length
+      total: this.playlist.length,
+      startOffset
     });
 
-    this.spawnFFmpegForTrack(track);
+    this.countRegularTrack();
+    this.spawnFFmpegForTrack(track, { startOffset });
   }
 
   /**
-   * Spawn FFmpeg process for a specific track
+   * The main source failed: keep the station on air from the fallback
+   * source, or stop when none is configured
    */
-  async spawnFFmpegForTrack(track) {
-    try {
-      // Validate track file exists
-      if (!await fs.pathExists(track.encodedPath)) {
-        logger.error('Track file not found:', track.encodedPath);
-        await this.handleTrackError(track, 'File not found on disk');
-        return;
+  async fallbackOrStop(reason, message) {
+    if (await this.enterFallback(reason, message)) {
+      if (this.isRunning && !this.isStopping) {
+        this.playFallbackTrack();
       }
+      return;
+    }
 
-      // NEW: Use Janus RTP details instead of hardcoded values
-      if (!this.rtpTarget) {
-        logger.error('No RTP target available from Janus session');
-        await this.handleTrackError(track, 'Janus session not established');
-        return;
-      }
+    logger.error('No fallback source available, stopping radio', { reason });
+    await this.stop(reason, message);
+  }
 
-      // Build FFmpeg command for RTP streaming to Janus
-      const args = [
-        '-re',                           // Read input at native frame rate
-        '-i', track.encodedPath,         // Input file
-        '-c', 'copy',                    // Copy without re-encoding (ZERO CPU)
-        '-f', 'rtp',                     // RTP output format
-        '-payload_type', '111',          // Opus payload type
-        `rtp://${this.rtpTarget.ip}:${this.rtpTarget.port}`
-      ];
+  /**
+   * Playable tracks of the fallback source: the fallback playlist, or the
+   * single loop file when the playlist is unset or has nothing playable
+   */
+  async loadFallbackSource(config) {
+    const candidates = [];
+    if (config.fallbackPlaylistId) {
+      const playlist = await this.metadataService.getPlaylist(config.fallbackPlaylistId);
+      if (playlist) {
+        candidates.push({
+          source: { type: 'playlist', id: playlist.id, name: playlist.name },
+          files: await this.metadataService.getPlaylistFiles(playlist.id)
+        });
+      }
+    }
+    if (config.fallbackFileId) {
+      const file = await this.metadataService.getFile(config.fallbackFileId);
+      if (file) {
+        candidates.push({
+          source: { type: 'file', id: file.id, name: file.originalName },
+          files: [file]
+        });
+      }
+    }
 
-      logger.info('Starting FFmpeg for track', {
-        track: track.originalName,
-        file: path.basename(track.encodedPath),
-        target: `${this.rtpTarget.ip}:${this.rtpTarget.port}`,
-        ssrc: this.rtpTarget.ssrc,
-        command: `ffmpeg ${args.join(' ')}`
-      });
+    for (const { source, files } of candidates) {
+      const tracks = [];
+      for (const file of files) {
+        if (file.status === 'completed' && file.encodedPath && await fs.pathExists(file.encodedPath)) {
+          tracks.push(file);
+        }
+      }
+      if (tracks.length > 0) {
+        return { source, tracks };
+      }
+      logger.warn('Fallback source has no playable tracks', source);
+    }
 
-      // Spawn FFmpeg process
-      this.ffmpegProcess = spawn(ffmpegPath, args);
-      this.currentTrack = track;
-      this.lastTrackStart = Date.now();
-      this.skipCount = 0; // Reset skip count on successful start
+    return null;
+  }
 
-      // Update radio state
-      await this.metadataService.updateRadioState({
-        status: 'playing',
-        currentTrack: track,
-        currentIndex: this.currentIndex - 1,
-        processId: this.ffmpegProcess.pid,
-        trackStartTime: new Date().toISOString()
-      });
+  async enterFallback(reason, message) {
+    const config = await this.metadataService.getRadioConfig();
+    const fallback = await this.loadFallbackSource(config);
+    if (!fallback) {
+      return false;
+    }
 
-      // Emit track change to clients
-      this.io.emit('radio-track-changed', {
-        track: track,
-        index: this.currentIndex - 1,
-        total: this.playlist.length,
-        timestamp: new Date().toISOString()
-      });
+    this.fallback = {
+      reason,
+      message,
+      since: new Date().toISOString(),
+      source: fallback.source,
+      tracks: fallback.tracks,
+      index: 0,
+      lastCheck: Date.now()
+    };
+    this.skipCount = 0;
 
-      // Setup process event handlers
-      this.setupFFmpegHandlers(track);
+    logger.warn('Main source failed, switching to fallback source', {
+      reason,
+      details: message,
+      source: fallback.source.name,
+      tracks: fallback.tracks.length
+    });
 
-    } catch (error) {
-      logger.error('Failed to spawn FFmpeg for track:', error);
-      await this.handleTrackError(track, error.message);
-    }
+    await this.metadataService.updateRadioState({ fallback: this.getFallbackStatus() });
+    this.io.emit('radio-fallback', {
+      active: true,
+      ...this.getFallbackStatus(),
+      timestamp: new Date().toISOString()
+    });
+    return true;
   }
 
   /**
-   * Setup event handlers for FFmpeg process
+   * Look at the main source again every fallbackRecheckSeconds and
+   * switch back to it once it has tracks
    */
-  setupFFmpegHandlers(track) {
-    if (!this.ffmpegProcess) return;
+  async checkMainSource(config) {
+    const recheckMs = (config.fallbackRecheckSeconds ?? 60) * 1000;
+    if (Date.now() - this.fallback.lastCheck < recheckMs) {
+      return false;
+    }
+    this.fallback.lastCheck = Date.now();
 
-    // Handle stderr output for debugging
-    this.ffmpegProcess.stderr.on('data', (data) => {
-      const output = data.toString().trim();
-      if (output.includes('time=') || output.includes('bitrate=')) {
-        logger.debug(`FFmpeg [${track.id}]: ${output}`);
-      } else if (output.includes('error') || output.includes('Error')) {
-        logger.warn(`FFmpeg [${track.id}] Warning: ${output}`);
-      }
-    });
+    // An empty rotation needs a fresh look at the library; failing tracks just get another try
+    if (this.playlist.length === 0 && !this.activeProgram) {
+      await this.refreshPlaylist();
+    }
+    if (this.playlist.length === 0) {
+      logger.info('Main source still unavailable, staying on fallback source');
+      return false;
+    }
 
-    // Handle process errors
-    this.ffmpegProcess.on('error', (error) => {
-      logger.error(`FFmpeg process error for track ${track.originalName}:`, error);
-      this.handleTrackError(track, `Process error: ${error.message}`);
-    });
+    await this.leaveFallback();
+    return true;
+  }
 
-    // Handle process completion/termination
-    this.ffmpegProcess.on('close', (code, signal) => {
-      const duration = this.lastTrackStart ? Date.now() - this.lastTrackStart : 0;
-      
-      logger.info(`Track finished: ${track.originalName}`, {
-        code,
-        signal,
-        duration: `${Math.round(duration / 1000)}s`
-      });
+  async leaveFallback() {
+    const status = this.getFallbackStatus();
+    const durationMs = Date.now() - new Date(status.since).getTime();
 
-      this.ffmpegProcess = null;
-      
-      // Only continue if radio is still running and not stopping
-      if (this.isRunning && !this.isStopping) {
-        // Small delay to ensure clean handoff
-        setTimeout(() => {
-          this.playNextTrack();
-        }, 100);
-      }
+    this.fallback = null;
+    this.skipCount = 0;
+
+    logger.info('Main source recovered, leaving fallback source', {
+      reason: status.reason,
+      source: status.source.name,
+      durationMs
     });
 
-    // Handle unexpected exit
-    this.ffmpegProcess.on('exit', (code, signal) => {
-      if (code !== 0 && signal !== 'SIGTERM') {
-        logger.warn(`FFmpeg exited unexpectedly`, { code, signal, track: track.originalName });
-        this.handleTrackError(track, `Unexpected exit: code ${code}, signal ${signal}`);
-      }
+    await this.metadataService.updateRadioState({ fallback: null });
+    this.io.emit('radio-fallback', {
+      active: false,
+      ...status,
+      durationMs,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  playFallbackTrack() {
+    const { tracks } = this.fallback;
+    const track = tracks[this.fallback.index % tracks.length];
+    this.fallback.index++;
+
+    logger.info('Playing fallback track', {
+      track: track.originalName,
+      source: this.fallback.source.name
+    });
+    this.spawnFFmpegForTrack(track, { fallback: true });
+  }
+
+  getFallbackStatus() {
+    if (!this.fallback) {
+      return null;
+    }
+    const { reason, message, since, source, tracks } = this.fallback;
+    return { reason, message, since, source, trackCount: tracks.length };
+  }
+
+  /**
+   * Queue a file to play before the rotation (`next` or at the `end` of
+   * the queue, optionally not before `at`)
+   */
+  async queueTrack({ fileId, position = 'end', at = null }, addedBy = null) {
+    try {
+      const file = await this.metadataService.getFile(fileId);
+      if (!file) {
+        return { success: false, message: 'File not found' };
+      }
+      if (file.status !== 'completed') {
+        return { success: false, message: 'File is not ready for playback' };
+      }
+      if (at && isNaN(new Date(at).getTime())) {
+        return { success: false, message: 'Invalid play time' };
+      }
+
+      const item = await this.metadataService.addQueueItem({
+        fileId,
+        originalName: file.originalName,
+        position,
+        at,
+        addedBy
+      });
+      await this.emitQueueUpdate();
+
+      return { success: true, message: 'Track queued', item };
+    } catch (error) {
+      logger.error('Failed to queue track:', error);
+      return { success: false, message: 'Failed to queue track: ' + error.message };
+    }
+  }
+
+  async unqueueTrack(itemId) {
+    try {
+      if (!await this.metadataService.removeQueueItem(itemId)) {
+        return { success: false, message: 'Queue item not found' };
+      }
+      await this.emitQueueUpdate();
+
+      return { success: true, message: 'Queue item removed' };
+    } catch (error) {
+      logger.error('Failed to remove queue item:', error);
+      return { success: false, message: 'Failed to remove queue item: ' + error.message };
+    }
+  }
+
+  async reorderQueue(itemIds) {
+    try {
+      const queue = await this.metadataService.reorderPlayQueue(itemIds);
+      await this.emitQueueUpdate();
+
+      return { success: true, message: 'Queue reordered', queue };
+    } catch (error) {
+      logger.warn('Failed to reorder queue', { error: error.message });
+      return { success: false, message: 'Failed to reorder queue: ' + error.message };
+    }
+  }
+
+  async clearQueue() {
+    try {
+      const count = await this.metadataService.clearPlayQueue();
+      await this.emitQueueUpdate();
+
+      return { success: true, message: `Removed ${count} queued items`, count };
+    } catch (error) {
+      logger.error('Failed to clear queue:', error);
+      return { success: false, message: 'Failed to clear queue: ' + error.message };
+    }
+  }
+
+  async emitQueueUpdate() {
+    this.io.emit('radio-queue-updated', {
+      queue: await this.metadataService.getPlayQueue(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Take the next queued item off the queue: the earliest timed item
+   * that is due, otherwise the first untimed one. Items whose file can
+   * no longer play are dropped.
+   */
+  async takeQueuedTrack() {
+    try {
+      const now = Date.now();
+
+      while (true) {
+        const queue = await this.metadataService.getPlayQueue();
+        const due = queue
+          .filter(item => item.at && new Date(item.at).getTime() <= now)
+          .sort((a, b) => new Date(a.at) - new Date(b.at));
+        const item = due[0] || queue.find(entry => !entry.at);
+        if (!item) {
+          return null;
+        }
+
+        await this.metadataService.removeQueueItem(item.id);
+        await this.emitQueueUpdate();
+
+        const file = await this.metadataService.getFile(item.fileId);
+        if (file && file.status === 'completed' && file.encodedPath && await fs.pathExists(file.encodedPath)) {
+          return { item, file };
+        }
+        logger.warn('Queued file can no longer play, dropped from queue', {
+          itemId: item.id,
+          fileId: item.fileId
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to take item from play queue:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take the automation off air for a live source: drop queued tracks and
+   * the running feeder, and return where to pick up again
+   */
+  async suspendAutomation() {
+    const resumePoint = this.getResumePoint();
+
+    await this.endOnAirHistory('live');
+
+    if (this.ffmpegProcess) {
+      this.ffmpegProcess.removeAllListeners('close');
+      this.ffmpegProcess.kill('SIGTERM');
+      this.ffmpegProcess = null;
+    }
+    for (const sourceId of this.sourceTracks.keys()) {
+      this.rtpStreamer.dropSource(sourceId);
+    }
+    this.sourceTracks.clear();
+    this.feederSourceId = null;
+    this.pendingCrossfade = null;
+    this.currentTrack = null;
+    this.onAirEntry = null;
+
+    await this.metadataService.updateRadioState({
+      status: 'live',
+      currentTrack: null,
+      ...(resumePoint && { resumePoint })
+    });
+
+    logger.info('Automation paused for live source', { resumePoint });
+    return resumePoint;
+  }
+
+  /**
+   * Back to the automation after a live takeover, continuing the
+   * interrupted track where it was cut off
+   */
+  async resumeAutomation(resumePoint) {
+    if (resumePoint && this.playlist[resumePoint.index]?.id === resumePoint.trackId) {
+      this.currentIndex = resumePoint.index;
+      this.pendingResume = { trackId: resumePoint.trackId, offset: resumePoint.offset };
+    }
+
+    logger.info('Automation resumed after live source', {
+      track: this.playlist[this.currentIndex]?.originalName,
+      offset: this.pendingResume?.offset ?? 0
+    });
+    await this.playNextTrack();
+  }
+
+  /**
+   * Build the next pass of a shuffled playlist from its source (the
+   * scheduled program, or the main source), using fresh play history so
+   * the no-repeat window sees what just aired. The previous pass is
+   * already thinned by weights and the window, so it is not reused.
+   */
+  async rebuildRotation() {
+    try {
+      const config = await this.metadataService.getRadioConfig();
+      const files = this.activeProgram
+        ? await this.scheduleService.buildProgramPlaylist(this.activeProgram)
+        : (await this.loadMainSource(config)).validFiles;
+      
+      this.playlist = this.rotationService.buildRotation(files, config, this.recentTracks);
+      
+      await this.metadataService.updateRadioState({
+        playlist: this.playlist,
+        currentIndex: this.currentIndex
+      });
+      
+      this.io.emit('radio-playlist-updated', {
+        playlist: this.playlist,
+        currentIndex: this.currentIndex
+      });
+    } catch (error) {
+      logger.error('Failed to rebuild rotation, replaying previous order:', error);
+    }
+  }
+
+  /**
+   * Close the as-run entry of the item on air
+   */
+  async endOnAirHistory(endReason, details = {}) {
+    const onAir = this.onAirHistory;
+    if (!onAir) return;
+    this.onAirHistory = null;
+    const endedAt = new Date().toISOString();
+
+    try {
+      const entry = await onAir.entry;
+      await this.metadataService.endPlayHistoryEntry(entry.id, endReason, { ...details, endedAt });
+    } catch (error) {
+      logger.warn('Failed to close play history entry:', error);
+    }
+  }
+
+  /**
+   * Record that a regular track aired (separation and no-repeat window)
+   */
+  async recordPlay(track) {
+    this.recentTracks.push(track);
+    if (this.recentTracks.length > 100) {
+      this.recentTracks.shift();
+    }
+
+    const file = await this.metadataService.getFile(track.id);
+    if (file) {
+      await this.metadataService.updateFile(track.id, {
+        lastPlayedAt: new Date().toISOString(),
+        playCount: (file.playCount || 0) + 1
+      });
+    }
+  }
+
+  /**
+   * Where to pick up playback: the regular track on air and how far into
+   * it we are, or the next regular track while an inserted item airs
+   */
+  getResumePoint() {
+    const entry = this.onAirEntry;
+    if (!entry || this.playlist.length === 0) {
+      return null;
+    }
+
+    let index;
+    let offset = 0;
+    if (entry.index !== null) {
+      index = entry.index;
+      offset = this.trackStartOffset + (Date.now() - this.lastTrackStart) / 1000;
+    } else {
+      index = this.lastRegularIndex !== null ? (this.lastRegularIndex + 1) % this.playlist.length : 0;
+    }
+
+    const track = this.playlist[index];
+    if (!track) {
+      return null;
+    }
+
+    return {
+      trackId: track.id,
+      index,
+      offset: Math.round(offset * 10) / 10,
+      shuffled: this.playlistShuffled,
+      programId: this.activeProgram?.id || null,
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  async saveCheckpoint() {
+    const resumePoint = this.getResumePoint();
+    if (!resumePoint) return;
+
+    try {
+      await this.metadataService.updateRadioState({ resumePoint });
+    } catch (error) {
+      logger.warn('Failed to save playback checkpoint:', error);
+    }
+  }
+
+  startCheckpoints() {
+    this.stopCheckpoints();
+    this.checkpointTimer = setInterval(() => this.saveCheckpoint(), this.checkpointIntervalMs);
+  }
+
+  stopCheckpoints() {
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+  }
+
+  /**
+   * Restore the saved playlist and position so start() continues where
+   * playback left off. Returns null when there is nothing to resume.
+   */
+  async restoreResumePoint(options = {}) {
+    const config = await this.metadataService.getRadioConfig();
+    const state = await this.metadataService.getRadioState();
+    const point = state.resumePoint;
+
+    if (config.resumePlayback === false || !point || !Array.isArray(state.playlist)) {
+      return null;
+    }
+
+    const playlist = [];
+    for (const item of state.playlist) {
+      const file = await this.metadataService.getFile(item.id);
+      if (file && file.status === 'completed' && file.encodedPath && await fs.pathExists(file.encodedPath)) {
+        playlist.push(file);
+      }
+    }
+
+    let index = playlist[point.index]?.id === point.trackId
+      ? point.index
+      : playlist.findIndex(file => file.id === point.trackId);
+
+    if (index === -1) {
+      logger.info('Resume track no longer available, starting fresh', { trackId: point.trackId });
+      return null;
+    }
+
+    // Nearly finished (or asked to move on) - go on with the next track instead
+    let offset = point.offset || 0;
+    const end = playlist[index].cues?.cueOut ?? playlist[index].metadata?.duration;
+    if (options.nextTrack || (end && offset > end - 5)) {
+      index = (index + 1) % playlist.length;
+      offset = 0;
+    }
+
+    this.playlist = playlist;
+    this.currentIndex = index;
+    this.playlistShuffled = !!point.shuffled;
+    this.pendingResume = { trackId: playlist[index].id, offset };
+
+    // Stay in the saved program if its slot is still on air
+    if (point.programId) {
+      const active = await this.scheduleService.getActiveSlot();
+      if (active?.program.id === point.programId) {
+        this.activeProgram = active.program;
+        this.activeSlot = active.slot;
+      }
+    }
+
+    logger.info('Resuming playback', {
+      track: playlist[index].originalName,
+      index,
+      offset,
+      savedAt: point.savedAt
+    });
+
+    return { ...point, index, offset };
+  }
+
+  /**
+   * Reset insertion rule counters (on radio start)
+   */
+  resetInsertionState() {
+    this.insertionState = {
+      startedAt: Date.now(),
+      totalTracks: 0,
+      tracksSince: new Map(),
+      lastFired: new Map()
+    };
+  }
+
+  countRegularTrack() {
+    if (!this.insertionState) return;
+    this.insertionState.totalTracks++;
+    for (const [ruleId, count] of this.insertionState.tracksSince) {
+      this.insertionState.tracksSince.set(ruleId, count + 1);
+    }
+  }
+
+  /**
+   * Check whether an insertion rule should fire now
+   */
+  isInsertionDue(rule, now) {
+    const state = this.insertionState;
+    const lastFired = state.lastFired.get(rule.id) ?? state.startedAt;
+
+    switch (rule.trigger) {
+      case 'every_n_tracks': {
+        // Rules that never fired count from radio start
+        const tracks = state.tracksSince.has(rule.id)
+          ? state.tracksSince.get(rule.id)
+          : state.totalTracks;
+        return tracks >= rule.interval;
+      }
+      case 'every_n_minutes':
+        return now.getTime() - lastFired >= rule.interval * 60000;
+      case 'top_of_hour': {
+        const hourStart = new Date(now);
+        hourStart.setMinutes(0, 0, 0);
+        return lastFired < hourStart.getTime();
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Find the first due insertion rule and pick an item of its category
+   */
+  async getDueInsertion() {
+    if (!this.insertionState) return null;
+
+    try {
+      const rules = (await this.metadataService.getInsertionRules()).filter(r => r.enabled);
+      const now = new Date();
+
+      for (const rule of rules) {
+        if (!this.isInsertionDue(rule, now)) continue;
+
+        // Mark as fired even without a playable item to avoid retrying every track
+        this.insertionState.lastFired.set(rule.id, now.getTime());
+        this.insertionState.tracksSince.set(rule.id, 0);
+
+        const file = await this.pickInsertionFile(rule.category);
+        if (file) {
+          this.lastInsertedFileId = file.id;
+          return { rule, file };
+        }
+
+        logger.warn('No playable items for insertion rule', { rule: rule.name, category: rule.category });
+      }
+    } catch (error) {
+      logger.error('Failed to evaluate insertion rules:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick a random playable item of a category, avoiding the last inserted one
+   */
+  async pickInsertionFile(category) {
+    const files = await this.metadataService.getFiles({ status: 'completed', category });
+
+    const candidates = [];
+    for (const file of files) {
+      if (file.encodedPath && await fs.pathExists(file.encodedPath)) {
+        candidates.push(file);
+      }
+    }
+
+    const fresh = candidates.length > 1
+      ? candidates.filter(f => f.id !== this.lastInsertedFileId)
+      : candidates;
+
+    if (fresh.length === 0) return null;
+    return fresh[Math.floor(Math.random() * fresh.length)];
+  }
+
+  /**
+   * Spawn FFmpeg feeder for a specific track.
+   * The feeder remuxes the encoded Opus file to Ogg on stdout and the
+   * RTP streamer paces it out, so the outgoing stream never restarts.
+   */
+  async spawnFFmpegForTrack(track, options = {}) {
+    if (this.live.isActive()) {
+      return; // Went live while this track was being picked
+    }
+
+    try {
+      // Validate track file exists
+      if (!await fs.pathExists(track.encodedPath)) {
+        logger.error('Track file not found:', track.encodedPath);
+        await this.handleTrackError(track, 'File not found on disk');
+        return;
+      }
+
+      // NEW: Use Janus RTP details instead of hardcoded values
+      if (!this.rtpTarget) {
+        logger.error('No RTP target available from Janus session');
+        await this.handleTrackError(track, 'Janus session not established');
+        return;
+      }
+
+      // Build FFmpeg command feeding the session's RTP streamer
+      const { args, mixing, startOffset } = await this.buildFeederArgs(track, options.startOffset || 0);
+
+      const sourceId = ++this.sourceCounter;
+
+      logger.info('Starting FFmpeg for track', {
+        track: track.originalName,
+        file: path.basename(track.encodedPath),
+        sourceId,
+        mixing,
+        command: `ffmpeg ${args.join(' ')}`
+      });
+
+      // Spawn FFmpeg process and hand its output to the streamer
+      this.ffmpegProcess = spawn(ffmpegPath, args);
+      this.feederSourceId = sourceId;
+      this.sourceTracks.set(sourceId, {
+        track,
+        index: options.insertion || options.fallback || options.queued ? null : this.currentIndex - 1,
+        insertion: options.insertion || null,
+        fallback: !!options.fallback,
+        queued: options.queued || null,
+        startOffset
+      });
+      this.rtpStreamer.addSource(sourceId, this.ffmpegProcess.stdout);
+
+      // Setup process event handlers
+      this.setupFFmpegHandlers(track, sourceId);
+
+    } catch (error) {
+      logger.error('Failed to spawn FFmpeg for track:', error);
+      await this.handleTrackError(track, error.message);
+    }
+  }
+
+  /**
+   * Resolve transition settings for a track (per-file values override radioConfig)
+   */
+  getTransitionSettings(track, config) {
+    const overrides = track.transitions || {};
+    const pick = (key) => {
+      const value = overrides[key] !== undefined && overrides[key] !== null ? overrides[key] : config[key];
+      return Math.max(0, parseFloat(value) || 0);
+    };
+
+    return {
+      crossfadeDuration: pick('crossfadeDuration'),
+      fadeInDuration: pick('fadeInDuration'),
+      fadeOutDuration: pick('fadeOutDuration')
+    };
+  }
+
+  /**
+   * Read the exact duration of an encoded file with ffprobe
+   */
+  probeDuration(filePath) {
+    return new Promise((resolve) => {
+      const probe = spawn(ffprobePath, [
+        '-v', 'error',
+        '-show_entries', 'format=duration',
+        '-of', 'default=noprint_wrappers=1:nokey=1',
+        filePath
+      ]);
+
+      let output = '';
+      probe.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      probe.on('error', (error) => {
+        logger.warn('ffprobe failed', { file: path.basename(filePath), error: error.message });
+        resolve(null);
+      });
+      probe.on('close', () => {
+        const duration = parseFloat(output);
+        resolve(Number.isFinite(duration) ? duration : null);
+      });
+    });
+  }
+
+  /**
+   * Build the feeder command for a track.
+   * Without transitions the encoded Opus is copied as-is (ZERO CPU); with a
+   * crossfade or fades the outgoing tail and the track are decoded, blended
+   * and re-encoded. Playback runs from the file's cue-in to its cue-out;
+   * `startOffset` (resume) is a position in the file.
+   */
+  async buildFeederArgs(track, startOffset = 0) {
+    const config = await this.metadataService.getRadioConfig();
+    const file = await this.metadataService.getFile(track.id) || track;
+    const transition = this.getTransitionSettings(file, config);
+    const cues = file.cues || {};
+    const tail = this.pendingCrossfade;
+    this.pendingCrossfade = null;
+
+    startOffset = Math.max(startOffset, cues.cueIn || 0);
+
+    const needsDuration = transition.crossfadeDuration > 0 || transition.fadeOutDuration > 0;
+    const end = cues.cueOut ?? (needsDuration ? await this.probeDuration(track.encodedPath) : null);
+    // Length left to play from the start position
+    const duration = end ? Math.max(0, end - startOffset) : null;
+
+    // Hold back the end of this track to crossfade it into the next one,
+    // from the outro marker when there is one
+    let playLength = duration;
+    let overlap = transition.crossfadeDuration;
+    const fromOutro = overlap > 0 && !!cues.outroStart && !!end && cues.outroStart > startOffset;
+    if (fromOutro) {
+      overlap = end - cues.outroStart;
+    }
+    if (overlap > 0 && duration && duration > (fromOutro ? overlap : overlap * 2)) {
+      playLength = duration - overlap;
+      this.pendingCrossfade = {
+        track,
+        offset: startOffset + playLength,
+        duration: overlap
+      };
+    }
+
+    // Second, decoded output for the dead air watchdog
+    const silenceFilter = this.watchdog.getSilenceFilter(config);
+
+    const filters = [];
+    if (tail) {
+      const fadeLength = playLength ? Math.min(tail.duration, playLength) : tail.duration;
+      filters.push(`acrossfade=d=${fadeLength.toFixed(3)}:c1=tri:c2=tri`);
+    } else if (transition.fadeInDuration > 0) {
+      filters.push(`afade=t=in:st=0:d=${transition.fadeInDuration.toFixed(3)}`);
+    }
+    if (!this.pendingCrossfade && transition.fadeOutDuration > 0 && duration && duration > transition.fadeOutDuration) {
+      filters.push(`afade=t=out:st=${(duration - transition.fadeOutDuration).toFixed(3)}:d=${transition.fadeOutDuration.toFixed(3)}`);
+    }
+
+    const args = ['-hide_banner'];
+
+    if (tail) {
+      args.push('-ss', tail.offset.toFixed(3), '-t', tail.duration.toFixed(3), '-i', tail.track.encodedPath);
+    }
+    if (startOffset > 0) {
+      args.push('-ss', startOffset.toFixed(3));
+    }
+    if (this.pendingCrossfade || cues.cueOut) {
+      args.push('-t', playLength.toFixed(3));
+    }
+    args.push('-i', track.encodedPath);
+
+    if (filters.length === 0) {
+      args.push(
+        '-map', '0:a:0',                 // First audio stream only
+        '-c', 'copy',                    // Copy without re-encoding (ZERO CPU)
+        '-f', 'ogg',                     // Ogg Opus to the streamer
+        'pipe:1'
+      );
+      if (silenceFilter) {
+        args.push('-map', '0:a:0', '-af', silenceFilter, '-f', 'null', '-');
+      }
+      return { args, mixing: false, startOffset };
+    }
+
+    const inputs = tail ? '[0:a][1:a]' : '[0:a]';
+    const graph = silenceFilter
+      ? `${inputs}${filters.join(',')},asplit=2[out][mon];[mon]${silenceFilter}[det]`
+      : `${inputs}${filters.join(',')}[out]`;
+    args.push(
+      '-filter_complex', graph,
+      '-map', '[out]',
+      '-c:a', 'libopus',
+      '-b:a', process.env.FFMPEG_BITRATE || '128k',
+      '-ar', '48000',
+      '-ac', '2',
+      '-application', 'audio',
+      '-frame_duration', '20',
+      '-f', 'ogg',
+      'pipe:1'
+    );
+    if (silenceFilter) {
+      args.push('-map', '[det]', '-f', 'null', '-');
+    }
+    return { args, mixing: true, startOffset };
+  }
+
+  /**
+   * Setup event handlers for the session's RTP streamer
+   */
+  setupStreamerHandlers() {
+    this.rtpStreamer.on('source-start', (sourceId) => {
+      this.handleTrackOnAir(sourceId).catch(error => {
+        logger.error('Failed to handle track change:', error);
+      });
+    });
+
+    this.rtpStreamer.on('source-end', (sourceId) => {
+      this.sourceTracks.delete(sourceId);
+      if (this.onAirHistory?.sourceId === sourceId) {
+        this.endOnAirHistory('natural');
+      }
+    });
+
+    this.rtpStreamer.on('underrun', () => {
+      logger.warn('RTP output underrun - no audio queued');
+    });
+  }
+
+  /**
+   * A track's first packet went on air
+   */
+  async handleTrackOnAir(sourceId) {
+    const entry = this.sourceTracks.get(sourceId);
+    if (!entry) return;
+
+    const { track, index, insertion, fallback, queued } = entry;
+    
+    // Open the as-run entry before anything else can end it
+    this.endOnAirHistory('natural');
+    this.onAirHistory = {
+      sourceId,
+      entry: this.metadataService.addPlayHistoryEntry({
+        fileId: track.id,
+        originalName: track.originalName,
+        title: track.metadata?.title,
+        artist: track.metadata?.artist,
+        album: track.metadata?.album,
+        isrc: track.metadata?.isrc,
+        composer: track.metadata?.composer,
+        label: track.metadata?.label,
+        category: insertion?.category || track.category || null,
+        inserted: !!insertion,
+        ruleId: insertion?.ruleId,
+        programId: this.activeProgram?.id,
+        programName: this.activeProgram?.name,
+        trackDuration: MetadataService.getCuedDuration(track)
+      })
+    };
+    
+    this.currentTrack = track;
+    this.lastTrackStart = Date.now();
+    this.onAirEntry = entry;
+    this.trackStartOffset = entry.startOffset || 0;
+    if (index !== null) {
+      this.lastRegularIndex = index;
+    }
+    this.skipCount = 0; // Reset skip count on successful start
+
+    logger.info('Track on air', { track: track.originalName, index, category: insertion?.category || null });
+
+    // Update radio state (inserted items keep the playlist position)
+    const stateUpdate = {
+      status: 'playing',
+      currentTrack: track,
+      processId: this.ffmpegProcess?.pid || null,
+      trackStartTime: new Date().toISOString(),
+      resumePoint: this.getResumePoint()
+    };
+    if (index !== null) {
+      stateUpdate.currentIndex = index;
+    }
+    await this.metadataService.updateRadioState(stateUpdate);
+
+    // Emit track change to clients
+    this.io.emit('radio-track-changed', {
+      track: track,
+      index: index,
+      total: this.playlist.length,
+      category: insertion?.category || track.category || null,
+      inserted: !!insertion,
+      ruleId: insertion?.ruleId || null,
+      fallback,
+      queued: !!queued,
+      cues: track.cues || null,
+      program: this.activeProgram ? { id: this.activeProgram.id, name: this.activeProgram.name } : null,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!insertion) {
+      try {
+        await this.recordPlay(track);
+      } catch (error) {
+        logger.warn('Failed to record track play:', error);
+      }
+    }
+  }
+
+  /**
+   * Setup event handlers for FFmpeg process
+   */
+  setupFFmpegHandlers(track, sourceId) {
+    if (!this.ffmpegProcess) return;
+
+    const feeder = this.ffmpegProcess;
+
+    // Handle stderr output for debugging
+    feeder.stderr.on('data', (data) => {
+      this.watchdog.handleFeederOutput(sourceId, data.toString());
+      const output = data.toString().trim();
+      if (output.includes('time=') || output.includes('bitrate=')) {
+        logger.debug(`FFmpeg [${track.id}]: ${output}`);
+      } else if (output.includes('error') || output.includes('Error')) {
+        logger.warn(`FFmpeg [${track.id}] Warning: ${output}`);
+      }
+    });
+
+    // Handle process errors
+    feeder.on('error', (error) => {
+      logger.error(`FFmpeg process error for track ${track.originalName}:`, error);
+    });
+
+    // Feeder finished: the track is fully queued, start feeding the next one
+    feeder.on('close', (code, signal) => {
+      logger.info(`Track queued: ${track.originalName}`, { code, signal, sourceId });
+
+      if (this.ffmpegProcess === feeder) {
+        this.ffmpegProcess = null;
+        this.feederSourceId = null;
+      }
+      
+      // Only continue if radio is still running and not stopping
+      if (!this.isRunning || this.isStopping) {
+        return;
+      }
+
+      if (code === 0 || feeder.skipped) {
+        this.playNextTrack();
+      } else {
+        const errorMessage = `Unexpected exit: code ${code}, signal ${signal}`;
+        if (this.onAirHistory?.sourceId === sourceId) {
+          this.endOnAirHistory('error', { error: errorMessage });
+        }
+        this.rtpStreamer.dropSource(sourceId);
+        this.sourceTracks.delete(sourceId);
+        this.handleTrackError(track, errorMessage);
+      }
     });
   }
 
@@ -558,11 +1823,21 @@ class RadioService {
         playlistSize: this.playlist.length,
         skipCount: this.skipCount,
         target: this.rtpTarget ? `${this.rtpTarget.ip}:${this.rtpTarget.port}` : 'Not connected',
+        output: this.rtpStreamer ? this.rtpStreamer.getStats() : null,
         processId: this.ffmpegProcess?.pid || null,
         uptime: radioState?.startTime ? Date.now() - new Date(radioState.startTime).getTime() : 0,
         lastTrackStart: this.lastTrackStart,
+        activeProgram: this.activeProgram ? { id: this.activeProgram.id, name: this.activeProgram.name } : null,
+        activeSlot: this.activeSlot,
+        resumePoint: radioState?.resumePoint || null,
+        supervisor: this.supervisor.getStatus(),
+        watchdog: this.watchdog.getStatus(),
+        fallback: this.getFallbackStatus(),
+        live: this.live.getStatus(),
+        queue: await this.metadataService.getPlayQueue(),
         // NEW: Include Janus status for debugging
-        janusStatus: this.janusService.getStatus()
+        janusStatus: this.janusService.getStatus(),
+        outputs: await this.outputs.getStatus()
       };
     } catch (error) {
       logger.error('Failed to get radio status:', error);
@@ -587,12 +1862,29 @@ class RadioService {
     }
   }
 
+  /**
+   * Stop the session's RTP output and forget queued tracks
+   */
+  stopStreamer() {
+    this.pendingCrossfade = null;
+    if (this.rtpStreamer) {
+      this.rtpStreamer.removeAllListeners();
+      this.rtpStreamer.stop();
+      this.rtpStreamer = null;
+    }
+    this.sourceTracks.clear();
+    this.feederSourceId = null;
+  }
+
   /**
    * Cleanup resources (called on server shutdown)
    */
   async cleanup() {
     logger.info('Cleaning up RadioService...');
     
+    this.supervisor.cleanup();
+    await this.live.stop();
+    
     this.isStopping = true;
     this.isRunning = false;
 
@@ -613,8 +1905,16 @@ class RadioService {
       }
     }
 
-    // NEW: Cleanup Janus session
+    await this.saveCheckpoint();
+    this.stopCheckpoints();
+    this.watchdog.stop();
+    this.onAirEntry = null;
+    await this.endOnAirHistory('stop');
+    this.stopStreamer();
+
+    // NEW: Cleanup Janus sessions
     try {
+      await this.outputs.stopAll();
       await this.janusService.cleanup();
       this.rtpTarget = null;
     } catch (error) {
@@ -0,0 +1,196 @@
+// src/services/RadioSupervisor.js - Automatic Radio Restart with Backoff
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Brings the radio back on air after it went down on its own
+ * (skip limit, Janus session loss, failed start) when
+ * radioConfig.autoRestart is set.
+ *
+ * Restarts back off exponentially and are capped per hour; every
+ * decision is reported on the 'radio-supervisor' socket event.
+ */
+class RadioSupervisor {
+  constructor(radioService, metadataService, socketIO) {
+    this.radioService = radioService;
+    this.metadataService = metadataService;
+    this.io = socketIO;
+
+    this.restartTimer = null;
+    this.stableTimer = null;
+    this.attempt = 0;
+    this.restarts = []; // Restart times within the last hour
+    this.lastFailure = null;
+    this.nextRestartAt = null;
+
+    // Back to the initial delay once the radio stays up this long
+    this.stableAfterMs = 10 * 60 * 1000;
+
+    this.radioService.on('radio-down', ({ reason, message }) => {
+      this.handleFailure(reason, message).catch(error => {
+        logger.error('Supervisor failed to handle radio failure:', error);
+      });
+    });
+  }
+
+  /**
+   * Supervisor settings from radioConfig with defaults
+   */
+  getSettings(config) {
+    return {
+      enabled: !!config.autoRestart,
+      initialDelay: (config.supervisorBackoffInitial ?? 5) * 1000,
+      maxDelay: (config.supervisorBackoffMax ?? 300) * 1000,
+      maxRestartsPerHour: config.supervisorMaxRestartsPerHour ?? 10
+    };
+  }
+
+  /**
+   * Start the radio when the server boots with autoRestart enabled
+   */
+  async startOnBoot() {
+    const config = await this.metadataService.getRadioConfig();
+    if (!config.autoRestart) return;
+
+    logger.info('Auto-restart enabled, starting radio...');
+    this.emitEvent('boot-start');
+    await this.restart('boot');
+  }
+
+  /**
+   * The radio went off air without being asked to - schedule a restart
+   */
+  async handleFailure(reason, message = null) {
+    this.clearStableTimer();
+    this.lastFailure = { reason, message, timestamp: new Date().toISOString() };
+
+    const settings = this.getSettings(await this.metadataService.getRadioConfig());
+
+    if (!settings.enabled) {
+      logger.warn('Radio went off air, auto-restart is disabled', { reason, message });
+      this.emitEvent('down', { reason, message, willRestart: false });
+      return;
+    }
+
+    if (this.restartTimer) {
+      return; // A restart is already scheduled
+    }
+
+    // Cap restarts per hour: wait for the oldest one to leave the window
+    const now = Date.now();
+    this.restarts = this.restarts.filter(time => now - time < HOUR_MS);
+
+    let delay = Math.min(settings.initialDelay * Math.pow(2, this.attempt), settings.maxDelay);
+    let limited = false;
+    if (this.restarts.length >= settings.maxRestartsPerHour) {
+      delay = Math.max(delay, this.restarts[0] + HOUR_MS - now);
+      limited = true;
+      logger.error('Radio restart limit reached, waiting before next attempt', {
+        maxRestartsPerHour: settings.maxRestartsPerHour,
+        delayMs: delay
+      });
+    }
+
+    this.nextRestartAt = new Date(now + delay).toISOString();
+    logger.warn('Radio went off air, scheduling restart', {
+      reason,
+      message,
+      attempt: this.attempt + 1,
+      delayMs: delay
+    });
+
+    this.emitEvent(limited ? 'limit-reached' : 'restart-scheduled', {
+      reason,
+      message,
+      delayMs: delay,
+      nextRestartAt: this.nextRestartAt
+    });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.nextRestartAt = null;
+      this.restart(reason).catch(error => {
+        logger.error('Supervised restart failed:', error);
+      });
+    }, delay);
+  }
+
+  async restart(reason) {
+    if (this.radioService.isRunning) {
+      this.attempt = 0;
+      return;
+    }
+
+    this.attempt++;
+    this.restarts.push(Date.now());
+    this.emitEvent('restarting', { reason });
+
+    const result = await this.radioService.start({ supervised: true });
+
+    if (result.success) {
+      logger.info('Radio restarted by supervisor', { reason, attempt: this.attempt });
+      this.emitEvent('restarted', { reason });
+
+      // Reset the backoff once the radio has stayed up for a while
+      this.clearStableTimer();
+      this.stableTimer = setTimeout(() => {
+        this.stableTimer = null;
+        this.attempt = 0;
+      }, this.stableAfterMs);
+    } else {
+      await this.handleFailure('start-failed', result.message);
+    }
+  }
+
+  /**
+   * Forget pending restarts (radio started or stopped by hand)
+   */
+  cancel() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+      this.nextRestartAt = null;
+      this.emitEvent('cancelled');
+    }
+    this.clearStableTimer();
+    this.attempt = 0;
+  }
+
+  clearStableTimer() {
+    if (this.stableTimer) {
+      clearTimeout(this.stableTimer);
+      this.stableTimer = null;
+    }
+  }
+
+  emitEvent(type, data = {}) {
+    this.io.emit('radio-supervisor', {
+      type,
+      ...data,
+      attempt: this.attempt,
+      restartsLastHour: this.restarts.filter(time => Date.now() - time < HOUR_MS).length,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  getStatus() {
+    return {
+      attempt: this.attempt,
+      restartPending: !!this.restartTimer,
+      nextRestartAt: this.nextRestartAt,
+      restartsLastHour: this.restarts.filter(time => Date.now() - time < HOUR_MS).length,
+      lastFailure: this.lastFailure
+    };
+  }
+
+  cleanup() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    this.clearStableTimer();
+  }
+}
+
+module.exports = RadioSupervisor;
@@ -0,0 +1,86 @@
+// src/services/ReportService.js - Royalty and Performance-rights Reporting
+const logger = require('../utils/logger');
+
+class ReportService {
+  constructor(metadataService) {
+    this.metadataService = metadataService;
+  }
+
+  /**
+   * Aggregate aired tracks per file over a period from the as-run log.
+   * A play counts in the period it started in; jingles, station IDs and
+   * promos are left out unless `includeInserted` is set.
+   */
+  async getRoyaltyReport(options = {}) {
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : new Date();
+    const minSecondsPlayed = options.minSecondsPlayed || 0;
+
+    const entries = await this.metadataService.getPlayHistory({ from, to });
+    const now = Date.now();
+    const tracks = new Map();
+
+    for (const entry of entries) {
+      const startedAt = new Date(entry.startedAt);
+      if ((from && startedAt < from) || startedAt > to) continue;
+      if (entry.inserted && !options.includeInserted) continue;
+
+      const seconds = entry.durationPlayed !== null
+        ? entry.durationPlayed
+        : (now - startedAt.getTime()) / 1000; // Still on air
+      if (seconds < minSecondsPlayed) continue;
+
+      let track = tracks.get(entry.fileId);
+      if (!track) {
+        // Tags may have been corrected since airing - prefer the current file record
+        const file = await this.metadataService.getFile(entry.fileId);
+        const tags = file?.metadata || {};
+
+        track = {
+          fileId: entry.fileId,
+          title: tags.title || entry.title || file?.originalName || entry.originalName,
+          artist: tags.artist || entry.artist || null,
+          album: tags.album || entry.album || null,
+          isrc: tags.isrc || entry.isrc || null,
+          composer: tags.composer || entry.composer || null,
+          label: tags.label || entry.label || null,
+          category: entry.category || null,
+          plays: 0,
+          seconds: 0,
+          firstPlayedAt: entry.startedAt,
+          lastPlayedAt: entry.startedAt
+        };
+        tracks.set(entry.fileId, track);
+      }
+
+      track.plays++;
+      track.seconds += seconds;
+      if (entry.startedAt < track.firstPlayedAt) track.firstPlayedAt = entry.startedAt;
+      if (entry.startedAt > track.lastPlayedAt) track.lastPlayedAt = entry.startedAt;
+    }
+
+    const rows = [...tracks.values()]
+      .map(track => ({ ...track, seconds: Math.round(track.seconds) }))
+      .sort((a, b) => b.plays - a.plays || b.seconds - a.seconds);
+
+    const report = {
+      period: {
+        from: from ? from.toISOString() : null,
+        to: to.toISOString()
+      },
+      generatedAt: new Date().toISOString(),
+      totals: {
+        tracks: rows.length,
+        plays: rows.reduce((sum, row) => sum + row.plays, 0),
+        seconds: rows.reduce((sum, row) => sum + row.seconds, 0),
+        missingIsrc: rows.filter(row => !row.isrc).length
+      },
+      tracks: rows
+    };
+
+    logger.info('Royalty report generated', { period: report.period, ...report.totals });
+    return report;
+  }
+}
+
+module.exports = ReportService;
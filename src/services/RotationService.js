@@ -0,0 +1,160 @@
+// src/services/RotationService.js - Rotation-aware Smart Shuffle
+const logger = require('../utils/logger');
+
+class RotationService {
+  constructor(metadataService) {
+    this.metadataService = metadataService;
+  }
+
+  /**
+   * Rotation settings from radioConfig with defaults
+   */
+  getSettings(config) {
+    const number = (value, fallback) => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+
+    return {
+      artistSeparation: number(config.rotationArtistSeparation, 3),
+      albumSeparation: number(config.rotationAlbumSeparation, 2),
+      titleSeparation: number(config.rotationTitleSeparation, 10),
+      repeatWindowHours: number(config.rotationRepeatWindowHours, 0)
+    };
+  }
+
+  /**
+   * Unbiased Fisher-Yates shuffle (returns a new array)
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  normalize(value) {
+    return value ? String(value).trim().toLowerCase() : null;
+  }
+
+  getWeight(file) {
+    return file.rotationWeight !== undefined && file.rotationWeight !== null
+      ? Math.max(0, file.rotationWeight)
+      : 1;
+  }
+
+  /**
+   * Expand files by weight: weight is the expected number of plays per
+   * rotation pass (2 = twice, 0.5 = every other pass, 0 = never)
+   */
+  expandByWeight(files) {
+    const entries = [];
+    for (const file of files) {
+      const weight = this.getWeight(file);
+      const copies = Math.floor(weight) + (Math.random() < weight % 1 ? 1 : 0);
+      for (let i = 0; i < copies; i++) {
+        entries.push(file);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Check separation rules for a candidate against the tracks played before it
+   */
+  violatesSeparation(file, history, settings) {
+    const artist = this.normalize(file.metadata?.artist);
+    const album = this.normalize(file.metadata?.album);
+    const title = this.normalize(file.metadata?.title) || this.normalize(file.originalName);
+
+    const span = Math.max(settings.artistSeparation, settings.albumSeparation, settings.titleSeparation, 1);
+    const start = Math.max(0, history.length - span);
+
+    for (let i = history.length - 1; i >= start; i--) {
+      const previous = history[i];
+      const distance = history.length - i;
+
+      if (previous.id === file.id && distance <= span) return true;
+      if (artist && distance <= settings.artistSeparation &&
+          this.normalize(previous.metadata?.artist) === artist) return true;
+      if (album && distance <= settings.albumSeparation &&
+          this.normalize(previous.metadata?.album) === album) return true;
+      if (title && distance <= settings.titleSeparation &&
+          (this.normalize(previous.metadata?.title) || this.normalize(previous.originalName)) === title) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Build one rotation pass.
+   * `recent` holds the tracks that aired last (oldest first) so separation
+   * also holds across a loop-around.
+   */
+  buildRotation(files, config, recent = []) {
+    const settings = this.getSettings(config);
+
+    // Unique files only - weights decide how often each appears, and
+    // weight 0 files never do (not even in the fallbacks below)
+    const unique = [...new Map(files.map(file => [file.id, file])).values()];
+    const rotatable = unique.filter(file => this.getWeight(file) > 0);
+
+    // Don't repeat within the configured window (based on last play time)
+    let eligible = rotatable;
+    let pending = null;
+    if (settings.repeatWindowHours > 0) {
+      const cutoff = Date.now() - settings.repeatWindowHours * 3600000;
+      eligible = rotatable.filter(file => !file.lastPlayedAt || new Date(file.lastPlayedAt).getTime() < cutoff);
+
+      if (eligible.length === 0 && rotatable.length > 0) {
+        logger.warn('Every track played within the repeat window, using least recently played', {
+          repeatWindowHours: settings.repeatWindowHours
+        });
+        // Least recently played first; separation still applies below
+        eligible = [...rotatable].sort((a, b) =>
+          new Date(a.lastPlayedAt || 0).getTime() - new Date(b.lastPlayedAt || 0).getTime()
+        );
+        pending = [...eligible];
+      }
+    }
+
+    if (!pending) {
+      pending = this.shuffle(this.expandByWeight(eligible));
+      if (pending.length === 0 && eligible.length > 0) {
+        // Only low-weight files left and none drawn this pass
+        pending = this.shuffle(eligible);
+      }
+    }
+
+    const history = [...recent];
+    const result = [];
+    let relaxed = 0;
+
+    while (pending.length > 0) {
+      let index = pending.findIndex(file => !this.violatesSeparation(file, history, settings));
+      if (index === -1) {
+        // No track satisfies the rules - take the next one rather than stall
+        index = 0;
+        relaxed++;
+      }
+
+      const [file] = pending.splice(index, 1);
+      result.push(file);
+      history.push(file);
+    }
+
+    logger.info('Rotation built', {
+      files: unique.length,
+      eligible: eligible.length,
+      entries: result.length,
+      relaxedPicks: relaxed,
+      settings
+    });
+
+    return result;
+  }
+}
+
+module.exports = RotationService;
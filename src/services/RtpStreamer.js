@@ -0,0 +1,354 @@
+// src/services/RtpStreamer.js - Continuous Opus RTP output for one radio session
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const logger = require('../utils/logger');
+const { OggOpusParser } = require('../utils/OggOpusParser');
+
+const RTP_HEADER_SIZE = 12;
+const CLOCK_RATE = 48000;
+const MAIN_TARGET = 'main';
+
+/**
+ * Sends Opus packets from a sequence of Ogg sources as one RTP stream.
+ *
+ * SSRC, sequence numbers and timestamps run continuously across sources,
+ * so track changes are invisible to the AudioBridge. Sources are read ahead
+ * into a small buffer (the next track starts filling while the current one
+ * drains) and paced out in real time.
+ *
+ * Every packet goes to all destinations ('main' plus any extra output
+ * targets). Each destination has its own SSRC; sequence numbers and
+ * timestamps are shared.
+ *
+ * Events:
+ *  - source-start (sourceId)  first packet of a source went on air
+ *  - source-end (sourceId)    last packet of a finished source went on air
+ *  - underrun                 output ran dry while running
+ */
+class RtpStreamer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.payloadType = options.payloadType || 111;
+    this.bufferMs = options.bufferMs || 2000;
+    this.tickInterval = options.tickInterval || 10;
+
+    this.socket = null;
+    this.targets = new Map(); // targetId -> { ip, port, ssrc, marker, packetsSent, bytesSent }
+    this.timer = null;
+
+    // RTP state (continuous for the whole session)
+    this.sequence = 0;
+    this.timestamp = 0;
+    this.marker = true;
+
+    // Packet queue and sources feeding it
+    this.queue = [];
+    this.queuedSamples = 0;
+    this.sources = new Map();
+    this.currentSourceId = null;
+    this.nextSendTime = null;
+    this.inputPaused = false;
+
+    // Stats
+    this.packetsSent = 0;
+    this.bytesSent = 0;
+    this.lastPacketTime = null;
+    this.underruns = 0;
+  }
+
+  /**
+   * Open the UDP socket and start the pacing loop
+   */
+  start(target) {
+    if (this.socket) {
+      this.setTarget(target);
+      return;
+    }
+
+    this.targets.set(MAIN_TARGET, this.createTarget(target));
+    this.sequence = Math.floor(Math.random() * 0x10000);
+    this.timestamp = Math.floor(Math.random() * 0x100000000);
+    this.marker = true;
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('error', (error) => {
+      logger.error('RTP socket error:', error);
+    });
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+
+    logger.info('RTP streamer started', {
+      target: `${target.ip}:${target.port}`,
+      ssrc: target.ssrc
+    });
+  }
+
+  /**
+   * Point a destination at a new address without resetting RTP state.
+   * Unknown target IDs are added as new destinations.
+   */
+  setTarget(target, targetId = MAIN_TARGET) {
+    const existing = this.targets.get(targetId);
+    const updated = existing ? { ...existing, ...target, marker: true } : this.createTarget(target);
+    this.targets.set(targetId, updated);
+
+    logger.info(existing ? 'RTP streamer target updated' : 'RTP streamer target added', {
+      targetId,
+      target: `${updated.ip}:${updated.port}`,
+      ssrc: updated.ssrc
+    });
+  }
+
+  removeTarget(targetId) {
+    if (this.targets.delete(targetId)) {
+      logger.info('RTP streamer target removed', { targetId });
+    }
+  }
+
+  createTarget(target) {
+    return { ip: target.ip, port: target.port, ssrc: target.ssrc, marker: true, packetsSent: 0, bytesSent: 0 };
+  }
+
+  /**
+   * Queue an Ogg Opus byte stream as the next source
+   */
+  addSource(sourceId, readable) {
+    const parser = new OggOpusParser();
+    const source = { id: sourceId, readable, parser, ended: false, started: false, pending: 0, lastSentAt: null };
+    this.sources.set(sourceId, source);
+
+    parser.on('data', (packet) => {
+      if (!this.sources.has(sourceId)) return;
+      source.pending++;
+      this.queue.push({ sourceId, ...packet });
+      this.queuedSamples += packet.samples;
+
+      if (this.getBufferedMs() >= this.bufferMs) {
+        this.pauseInputs();
+      }
+    });
+
+    parser.on('end', () => {
+      source.ended = true;
+      this.finishSourceIfDrained(source);
+    });
+
+    parser.on('error', (error) => {
+      logger.warn('Invalid Ogg data from source', { sourceId, error: error.message });
+      source.ended = true;
+      this.finishSourceIfDrained(source);
+    });
+
+    readable.pipe(parser);
+
+    if (this.inputPaused) {
+      parser.pause();
+    }
+  }
+
+  /**
+   * Drop a source: its queued packets are discarded and its input detached
+   */
+  dropSource(sourceId) {
+    const source = this.sources.get(sourceId);
+    if (!source) return;
+
+    source.readable.unpipe(source.parser);
+    source.readable.resume(); // Discard the rest so the producer can exit
+    source.parser.removeAllListeners('data');
+    this.sources.delete(sourceId);
+
+    const remaining = [];
+    for (const packet of this.queue) {
+      if (packet.sourceId === sourceId) {
+        this.queuedSamples -= packet.samples;
+      } else {
+        remaining.push(packet);
+      }
+    }
+    this.queue = remaining;
+
+    if (this.currentSourceId === sourceId) {
+      this.currentSourceId = null;
+    }
+
+    this.resumeInputsIfLow();
+    logger.debug('RTP source dropped', { sourceId });
+  }
+
+  getBufferedMs() {
+    return (this.queuedSamples / CLOCK_RATE) * 1000;
+  }
+
+  pauseInputs() {
+    if (this.inputPaused) return;
+    this.inputPaused = true;
+    for (const source of this.sources.values()) {
+      source.parser.pause();
+    }
+  }
+
+  resumeInputsIfLow() {
+    if (!this.inputPaused || this.getBufferedMs() > this.bufferMs / 2) return;
+    this.inputPaused = false;
+    for (const source of this.sources.values()) {
+      source.parser.resume();
+    }
+  }
+
+  finishSourceIfDrained(source) {
+    if (!source.ended || source.pending > 0 || !this.sources.has(source.id)) return;
+
+    this.sources.delete(source.id);
+    if (this.currentSourceId === source.id) {
+      this.currentSourceId = null;
+    }
+    this.emit('source-end', source.id);
+  }
+
+  /**
+   * Pacing loop: send every packet whose play-out time has come
+   */
+  tick() {
+    const now = performance.now();
+
+    if (this.queue.length === 0) {
+      if (this.nextSendTime !== null && now - this.nextSendTime > this.tickInterval * 2) {
+        // Output ran dry - keep the RTP clock in step with wall time
+        this.timestamp = (this.timestamp + Math.round(((now - this.nextSendTime) / 1000) * CLOCK_RATE)) >>> 0;
+        this.nextSendTime = null;
+        this.marker = true;
+        this.underruns++;
+        this.emit('underrun');
+      }
+      return;
+    }
+
+    if (this.nextSendTime === null) {
+      this.nextSendTime = now;
+    }
+
+    while (this.queue.length > 0 && this.nextSendTime <= now) {
+      const packet = this.queue.shift();
+      this.queuedSamples -= packet.samples;
+      this.sendPacket(packet);
+      this.nextSendTime += (packet.samples / CLOCK_RATE) * 1000;
+    }
+
+    this.resumeInputsIfLow();
+  }
+
+  sendPacket(packet) {
+    const source = this.sources.get(packet.sourceId);
+
+    if (source && !source.started) {
+      source.started = true;
+      this.currentSourceId = packet.sourceId;
+      this.emit('source-start', packet.sourceId);
+    }
+
+    if (this.socket && this.targets.size > 0) {
+      for (const target of this.targets.values()) {
+        const header = Buffer.alloc(RTP_HEADER_SIZE);
+        header[0] = 0x80; // Version 2, no padding/extension/CSRC
+        header[1] = (this.marker || target.marker ? 0x80 : 0) | (this.payloadType & 0x7F);
+        header.writeUInt16BE(this.sequence, 2);
+        header.writeUInt32BE(this.timestamp, 4);
+        header.writeUInt32BE(target.ssrc >>> 0, 8);
+
+        const message = Buffer.concat([header, packet.data]);
+        this.socket.send(message, target.port, target.ip);
+
+        target.marker = false;
+        target.packetsSent++;
+        target.bytesSent += message.length;
+        this.bytesSent += message.length;
+      }
+      this.packetsSent++;
+    }
+
+    this.marker = false;
+    this.sequence = (this.sequence + 1) & 0xFFFF;
+    this.timestamp = (this.timestamp + packet.samples) >>> 0;
+    this.lastPacketTime = Date.now();
+
+    if (source) {
+      source.lastSentAt = this.lastPacketTime;
+      source.pending--;
+      this.finishSourceIfDrained(source);
+    }
+  }
+
+  /**
+   * Stop pacing, drop all sources and close the socket
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const sourceId of [...this.sources.keys()]) {
+      this.dropSource(sourceId);
+    }
+    this.queue = [];
+    this.queuedSamples = 0;
+    this.nextSendTime = null;
+    this.inputPaused = false;
+    this.currentSourceId = null;
+
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (error) {
+        logger.warn('Failed to close RTP socket:', error);
+      }
+      this.socket = null;
+    }
+
+    logger.info('RTP streamer stopped', { packetsSent: this.packetsSent });
+  }
+
+  /**
+   * Per-destination counters
+   */
+  getTargetStats(targetId) {
+    const target = this.targets.get(targetId);
+    if (!target) return null;
+
+    return {
+      target: `${target.ip}:${target.port}`,
+      ssrc: target.ssrc,
+      packetsSent: target.packetsSent,
+      bytesSent: target.bytesSent
+    };
+  }
+
+  /**
+   * When a packet from the source last went out (null = none yet)
+   */
+  getSourceLastSentAt(sourceId) {
+    return this.sources.get(sourceId)?.lastSentAt ?? null;
+  }
+
+  getStats() {
+    const main = this.targets.get(MAIN_TARGET);
+    return {
+      active: !!this.timer,
+      target: main ? `${main.ip}:${main.port}` : null,
+      ssrc: main?.ssrc ?? null,
+      targets: this.targets.size,
+      sequence: this.sequence,
+      timestamp: this.timestamp,
+      bufferedMs: Math.round(this.getBufferedMs()),
+      packetsSent: this.packetsSent,
+      bytesSent: this.bytesSent,
+      lastPacketTime: this.lastPacketTime,
+      underruns: this.underruns,
+      currentSourceId: this.currentSourceId
+    };
+  }
+}
+
+module.exports = RtpStreamer;
@@ -0,0 +1,129 @@
+// src/services/ScheduleService.js - Weekly Program Schedule Resolution
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+class ScheduleService {
+  constructor(metadataService) {
+    this.metadataService = metadataService;
+  }
+
+  /**
+   * Convert "HH:MM" to minutes since midnight ("24:00" is allowed as end of day)
+   */
+  parseTime(value) {
+    const [hours, minutes] = value.split(':').map(part => parseInt(part, 10));
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Expand a slot into [start, end) ranges of minutes-of-week.
+   * Slots whose end is not after their start run past midnight into the next day;
+   * a range crossing the end of the week is split in two.
+   */
+  getSlotRanges(slot) {
+    const start = this.parseTime(slot.startTime);
+    let end = this.parseTime(slot.endTime);
+    if (end <= start) {
+      end += MINUTES_PER_DAY;
+    }
+
+    const ranges = [];
+    for (const day of slot.days) {
+      const rangeStart = day * MINUTES_PER_DAY + start;
+      const rangeEnd = day * MINUTES_PER_DAY + end;
+
+      if (rangeEnd > MINUTES_PER_WEEK) {
+        ranges.push([rangeStart, MINUTES_PER_WEEK]);
+        ranges.push([0, rangeEnd - MINUTES_PER_WEEK]);
+      } else {
+        ranges.push([rangeStart, rangeEnd]);
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Find enabled slots that overlap the given slot (ignoring the slot itself)
+   */
+  async findConflicts(candidate) {
+    if (candidate.enabled === false) {
+      return [];
+    }
+
+    const schedule = await this.metadataService.getSchedule();
+    const candidateRanges = this.getSlotRanges(candidate);
+
+    return schedule.slots.filter(slot => {
+      if (slot.id === candidate.id || slot.enabled === false) {
+        return false;
+      }
+      return this.getSlotRanges(slot).some(([start, end]) =>
+        candidateRanges.some(([cStart, cEnd]) => start < cEnd && cStart < end)
+      );
+    });
+  }
+
+  /**
+   * Get the slot and program on air at the given time (server local time)
+   */
+  async getActiveSlot(date = new Date()) {
+    const schedule = await this.metadataService.getSchedule();
+    const minuteOfWeek = date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+
+    const slot = schedule.slots.find(s =>
+      s.enabled !== false &&
+      this.getSlotRanges(s).some(([start, end]) => minuteOfWeek >= start && minuteOfWeek < end)
+    );
+
+    if (!slot) {
+      return null;
+    }
+
+    const program = schedule.programs.find(p => p.id === slot.programId);
+    if (!program) {
+      logger.warn('Schedule slot references missing program', { slotId: slot.id, programId: slot.programId });
+      return null;
+    }
+
+    return { slot, program };
+  }
+
+  /**
+   * Build the track list for a program from the encoded library
+   * (in source order - shuffled programs are ordered by the rotation engine)
+   */
+  async buildProgramPlaylist(program) {
+    let files;
+
+    if (program.source === 'files') {
+      files = [];
+      for (const fileId of program.fileIds || []) {
+        const file = await this.metadataService.getFile(fileId);
+        if (file && file.status === 'completed') {
+          files.push(file);
+        } else {
+          logger.warn('Skipping unavailable program file', { programId: program.id, fileId });
+        }
+      }
+    } else if (program.source === 'playlist') {
+      files = (await this.metadataService.getPlaylistFiles(program.playlistId))
+        .filter(file => file.status === 'completed');
+    } else {
+      files = await this.metadataService.getFiles({ status: 'completed', category: null });
+    }
+
+    const tracks = [];
+    for (const file of files) {
+      if (file.encodedPath && await fs.pathExists(file.encodedPath)) {
+        tracks.push(file);
+      }
+    }
+
+    return tracks;
+  }
+}
+
+module.exports = ScheduleService;
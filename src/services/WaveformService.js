@@ -0,0 +1,207 @@
+// src/services/WaveformService.js - Waveform Peaks for the Frontend
+const { spawn } = require('child_process');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+
+const CACHE_VERSION = 1;
+const SAMPLE_RATE = 8000;      // Decode rate - plenty for drawing
+const POINTS_PER_SECOND = 50;  // Cached resolution (20 ms per point)
+
+/**
+ * Computes min/max peaks of an encoded file and caches them on disk
+ * next to it (<encodedPath>.waveform.json). Peaks cover both channels
+ * and are stored as 8-bit values; requests are downsampled from the
+ * cached resolution.
+ */
+class WaveformService {
+  constructor() {
+    this.pending = new Map(); // fileId -> Promise of the cached data
+  }
+
+  getCachePath(file) {
+    return `${file.encodedPath}.waveform.json`;
+  }
+
+  /**
+   * Peaks for a file at `resolution` points (fewer when the file is short).
+   * Builds the cache first when it is missing or older than the encode.
+   */
+  async getWaveform(file, resolution) {
+    const data = await this.getCachedPeaks(file);
+    const points = this.downsample(data.peaks, resolution);
+
+    return {
+      duration: data.duration,
+      resolution: points.length / 2,
+      secondsPerPoint: points.length > 0 ? data.duration / (points.length / 2) : 0,
+      // [min, max] pairs flattened, -1..1
+      peaks: points.map(value => Math.round((value / 128) * 1000) / 1000)
+    };
+  }
+
+  async getCachedPeaks(file) {
+    const cachePath = this.getCachePath(file);
+
+    if (await this.isCacheValid(file, cachePath)) {
+      const data = await fs.readJson(cachePath);
+      if (data.version === CACHE_VERSION) {
+        return data;
+      }
+    }
+
+    // One generation per file at a time
+    if (!this.pending.has(file.id)) {
+      const generation = this.generate(file).finally(() => {
+        this.pending.delete(file.id);
+      });
+      this.pending.set(file.id, generation);
+    }
+    return this.pending.get(file.id);
+  }
+
+  async isCacheValid(file, cachePath) {
+    if (!await fs.pathExists(cachePath)) {
+      return false;
+    }
+    const [cache, encoded] = await Promise.all([fs.stat(cachePath), fs.stat(file.encodedPath)]);
+    return cache.mtimeMs >= encoded.mtimeMs;
+  }
+
+  /**
+   * Decode the encoded file and write the peaks cache
+   */
+  async generate(file) {
+    const startTime = Date.now();
+    const { peaks, frames } = await this.computePeaks(file.encodedPath);
+
+    const data = {
+      version: CACHE_VERSION,
+      sampleRate: SAMPLE_RATE,
+      pointsPerSecond: POINTS_PER_SECOND,
+      duration: Math.round((frames / SAMPLE_RATE) * 1000) / 1000,
+      peaks
+    };
+
+    // Write then rename so a reader never sees half a file
+    const cachePath = this.getCachePath(file);
+    await fs.writeJson(`${cachePath}.tmp`, data);
+    await fs.move(`${cachePath}.tmp`, cachePath, { overwrite: true });
+
+    logger.info('Waveform generated', {
+      fileId: file.id,
+      points: peaks.length / 2,
+      elapsedMs: Date.now() - startTime
+    });
+    return data;
+  }
+
+  /**
+   * Min/max per point over interleaved stereo s16 from FFmpeg
+   */
+  computePeaks(inputPath) {
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-v', 'error',
+        '-i', inputPath,
+        '-map', '0:a:0',
+        '-ac', '2',
+        '-ar', String(SAMPLE_RATE),
+        '-f', 's16le',
+        'pipe:1'
+      ];
+
+      const ffmpegProcess = spawn(ffmpegPath, args);
+
+      const samplesPerPoint = (SAMPLE_RATE / POINTS_PER_SECOND) * 2;
+      const peaks = [];
+      let min = 0;
+      let max = 0;
+      let count = 0;
+      let total = 0;
+      let leftover = null;
+
+      const pushPoint = () => {
+        peaks.push(Math.max(-128, Math.round(min / 256)), Math.min(127, Math.round(max / 256)));
+        min = 0;
+        max = 0;
+        count = 0;
+      };
+
+      ffmpegProcess.stdout.on('data', (chunk) => {
+        const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+        const usable = buffer.length - (buffer.length % 2);
+        leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+
+        for (let offset = 0; offset < usable; offset += 2) {
+          const sample = buffer.readInt16LE(offset);
+          if (sample < min) min = sample;
+          if (sample > max) max = sample;
+          if (++count === samplesPerPoint) {
+            pushPoint();
+          }
+        }
+        total += usable / 2;
+      });
+
+      let errorOutput = '';
+      ffmpegProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      ffmpegProcess.on('error', (error) => {
+        reject(new Error(`FFmpeg process error: ${error.message}`));
+      });
+
+      ffmpegProcess.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`Waveform decode failed: ${errorOutput.trim() || `exit code ${code}`}`));
+        }
+        if (count > 0) {
+          pushPoint();
+        }
+        resolve({ peaks, frames: total / 2 });
+      });
+    });
+  }
+
+  /**
+   * Merge [min, max] pairs down to `resolution` pairs
+   */
+  downsample(peaks, resolution) {
+    const points = peaks.length / 2;
+    if (resolution >= points) {
+      return peaks;
+    }
+
+    const result = [];
+    for (let i = 0; i < resolution; i++) {
+      const start = Math.floor((i * points) / resolution);
+      const end = Math.max(start + 1, Math.floor(((i + 1) * points) / resolution));
+      let min = 0;
+      let max = 0;
+      for (let p = start; p < end; p++) {
+        if (peaks[p * 2] < min) min = peaks[p * 2];
+        if (peaks[p * 2 + 1] > max) max = peaks[p * 2 + 1];
+      }
+      result.push(min, max);
+    }
+    return result;
+  }
+
+  /**
+   * Build the cache in the background (after an encode)
+   */
+  prepare(file) {
+    this.getCachedPeaks(file).catch(error => {
+      logger.warn('Waveform generation failed', { fileId: file.id, error: error.message });
+    });
+  }
+
+  async removeCache(file) {
+    if (!file.encodedPath) return;
+    await fs.remove(this.getCachePath(file));
+  }
+}
+
+module.exports = WaveformService;
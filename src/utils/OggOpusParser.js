@@ -0,0 +1,125 @@
+// src/utils/OggOpusParser.js - Ogg container demuxer yielding raw Opus packets
+const { Transform } = require('stream');
+
+const OGG_CAPTURE = Buffer.from('OggS');
+const OGG_HEADER_SIZE = 27;
+
+// Opus frame sizes in 48 kHz samples, indexed by TOC config (RFC 6716, section 3.1)
+const SILK_FRAME_SIZES = [480, 960, 1920, 2880];
+const HYBRID_FRAME_SIZES = [480, 960];
+const CELT_FRAME_SIZES = [120, 240, 480, 960];
+
+/**
+ * Number of 48 kHz samples carried by an Opus packet
+ */
+function getOpusPacketSamples(packet) {
+  if (!packet || packet.length === 0) return 0;
+
+  const toc = packet[0];
+  const config = toc >> 3;
+
+  let frameSize;
+  if (config < 12) {
+    frameSize = SILK_FRAME_SIZES[config % 4];
+  } else if (config < 16) {
+    frameSize = HYBRID_FRAME_SIZES[config % 2];
+  } else {
+    frameSize = CELT_FRAME_SIZES[config % 4];
+  }
+
+  let frameCount;
+  switch (toc & 0x03) {
+    case 0:
+      frameCount = 1;
+      break;
+    case 1:
+    case 2:
+      frameCount = 2;
+      break;
+    default:
+      frameCount = packet.length > 1 ? packet[1] & 0x3F : 0;
+  }
+
+  return frameSize * frameCount;
+}
+
+/**
+ * Transform stream: Ogg Opus bytes in, { data, samples } audio packets out.
+ * OpusHead/OpusTags header packets are dropped, so chained streams
+ * (one logical stream after another) come out as one packet sequence.
+ */
+class OggOpusParser extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+    this.buffer = Buffer.alloc(0);
+    this.partialPacket = [];
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    try {
+      this.parsePages();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  parsePages() {
+    let offset = 0;
+
+    while (this.buffer.length - offset >= OGG_HEADER_SIZE) {
+      if (this.buffer.compare(OGG_CAPTURE, 0, 4, offset, offset + 4) !== 0) {
+        // Lost sync - resynchronise on the next capture pattern
+        const next = this.buffer.indexOf(OGG_CAPTURE, offset + 1);
+        if (next === -1) {
+          offset = Math.max(offset, this.buffer.length - 3);
+          break;
+        }
+        offset = next;
+        continue;
+      }
+
+      const segmentCount = this.buffer[offset + 26];
+      const headerSize = OGG_HEADER_SIZE + segmentCount;
+      if (this.buffer.length - offset < headerSize) break;
+
+      const lacing = this.buffer.subarray(offset + OGG_HEADER_SIZE, offset + headerSize);
+      const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+      if (this.buffer.length - offset < headerSize + bodySize) break;
+
+      const headerType = this.buffer[offset + 5];
+      if (!(headerType & 0x01)) {
+        // Page does not continue a packet from the previous page
+        this.partialPacket = [];
+      }
+
+      let bodyOffset = offset + headerSize;
+      for (const segmentSize of lacing) {
+        this.partialPacket.push(this.buffer.subarray(bodyOffset, bodyOffset + segmentSize));
+        bodyOffset += segmentSize;
+
+        if (segmentSize < 255) {
+          this.emitPacket(Buffer.concat(this.partialPacket));
+          this.partialPacket = [];
+        }
+      }
+
+      offset += headerSize + bodySize;
+    }
+
+    this.buffer = Buffer.from(this.buffer.subarray(offset));
+  }
+
+  emitPacket(packet) {
+    if (packet.length === 0) return;
+
+    const magic = packet.subarray(0, 8).toString('latin1');
+    if (magic === 'OpusHead' || magic === 'OpusTags') return;
+
+    this.push({ data: packet, samples: getOpusPacketSamples(packet) });
+  }
+}
+
+module.exports = { OggOpusParser, getOpusPacketSamples };
@@ -0,0 +1,33 @@
+// src/utils/csv.js - CSV export helper
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document from rows.
+ * `columns` is a list of { header, value } where value is a key or a function of the row.
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => {
+      const value = typeof column.value === 'function' ? column.value(row) : row[column.value];
+      return escapeCsvValue(value);
+    }).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeCsvValue, toCsv };
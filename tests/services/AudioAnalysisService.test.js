@@ -0,0 +1,173 @@
+// tests/services/AudioAnalysisService.test.js
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const AudioAnalysisService = require('../../src/services/AudioAnalysisService');
+
+// Recorded stderr of runAnalysis():
+//  - gaps:   4 s of tone (440 Hz left, 550 Hz right), 3 s silence, 3 s tone, 12 s silence
+//  - silent: 3 s of digital silence
+const recorded = name => fs.readFileSync(path.join(__dirname, '../fixtures/ffmpeg', `analysis-${name}.txt`), 'utf8');
+
+// A report with nothing wrong, for getFlags
+const cleanReport = (overrides = {}) => ({
+  loudness: { integratedLufs: -16, truePeakDb: -1.5, lra: 6 },
+  channels: { rmsDb: [-18, -18.5], correlation: 0.6 },
+  clipping: { clippedSamples: 0, percent: 0 },
+  silence: { regions: [] },
+  ...overrides
+});
+
+describe('AudioAnalysisService', () => {
+  let analysis;
+
+  beforeEach(() => {
+    analysis = new AudioAnalysisService(null, null);
+  });
+
+  describe('buildReport', () => {
+    it('reads loudness, levels, silence and flags from a recorded analysis', () => {
+      const report = analysis.buildReport(recorded('gaps'));
+
+      expect(report.duration).toBeCloseTo(22.01);
+      expect(report.loudness).toEqual({ integratedLufs: -7.02, truePeakDb: -5.82, lra: 4.7 });
+      expect(report.peak).toEqual({ sampleDb: -5.82, truePeakDb: -5.82 });
+      expect(report.dynamicRange.crestFactorDb).toBe(8.2);
+      expect(report.silence.regions).toEqual([
+        { start: 4.02, end: 7, duration: 2.98 },
+        { start: 10.02, end: 22, duration: 11.98 }
+      ]);
+      expect(report.silence.totalSeconds).toBe(14.96);
+      expect(report.channels.rmsDb).toEqual([-14.02, -14.02]);
+      expect(report.channels.correlation).toBeCloseTo(0, 2);
+      expect(report.clipping).toEqual({ clippedSamples: 0, percent: 0 });
+      expect(report.flags).toEqual(['too-loud', 'long-silence']);
+    });
+
+    it('runs a silence still open at the end of the output to the duration', () => {
+      const output = recorded('gaps').replace(/^.*silence_end: 22 .*\n/m, '');
+
+      const report = analysis.buildReport(output);
+
+      expect(report.silence.regions[1]).toEqual({ start: 10.02, end: 22.01, duration: 11.99 });
+    });
+
+    it('turns -inf levels of a silent file into nulls', () => {
+      const report = analysis.buildReport(recorded('silent'));
+
+      expect(report.loudness.integratedLufs).toBeNull();
+      expect(report.loudness.truePeakDb).toBeNull();
+      expect(report.peak.sampleDb).toBeNull();
+      expect(report.dynamicRange.crestFactorDb).toBeNull();
+      expect(report.channels).toEqual({ rmsDb: [null, null], correlation: null });
+      // Every sample sits at the (-inf) peak, which is not clipping
+      expect(report.clipping.clippedSamples).toBe(0);
+      expect(report.silence.regions).toEqual([{ start: 0, end: 3, duration: 3 }]);
+      expect(report.flags).toEqual(['silent']);
+    });
+
+    it('copes with output that has no measurements at all', () => {
+      const report = analysis.buildReport('Conversion failed!\n');
+
+      expect(report.duration).toBeNull();
+      expect(report.loudness).toEqual({ integratedLufs: null, truePeakDb: null, lra: null });
+      expect(report.channels).toEqual({ rmsDb: [], correlation: null });
+      expect(report.flags).toEqual(['silent']);
+    });
+  });
+
+  describe('parseAstats', () => {
+    it('groups channel and overall stats by instance name', () => {
+      const stats = analysis.parseAstats(recorded('gaps'));
+
+      expect(Object.keys(stats).sort()).toEqual(['main', 'mid', 'side']);
+      expect(stats.main.channels).toHaveLength(2);
+      expect(stats.mid.channels).toHaveLength(1);
+      expect(stats.main.overall['Peak count']).toBe('2.500000');
+      expect(stats.main.overall['Number of samples']).toBe('1056000');
+      expect(stats.side.channels[0]['RMS level dB']).toBe('-17.033545');
+    });
+
+    it('keeps -inf as reported', () => {
+      const stats = analysis.parseAstats(recorded('silent'));
+
+      expect(stats.main.overall['RMS level dB']).toBe('-inf');
+      expect(analysis.level(stats.main.overall['RMS level dB'])).toBeNull();
+    });
+  });
+
+  describe('parseSilence', () => {
+    const line = text => `[silencedetect @ 0x1] ${text}`;
+
+    it('pairs starts with ends', () => {
+      const output = [
+        line('silence_start: 1.5'),
+        line('silence_end: 4 | silence_duration: 2.5'),
+        line('silence_start: 8'),
+        line('silence_end: 10.25 | silence_duration: 2.25')
+      ].join('\n');
+
+      expect(analysis.parseSilence(output, 12)).toEqual([
+        { start: 1.5, end: 4, duration: 2.5 },
+        { start: 8, end: 10.25, duration: 2.25 }
+      ]);
+    });
+
+    it('clamps a start before zero', () => {
+      const output = [line('silence_start: -0.02'), line('silence_end: 3 | silence_duration: 3.02')].join('\r\n');
+
+      expect(analysis.parseSilence(output, 10)).toEqual([{ start: 0, end: 3, duration: 3 }]);
+    });
+
+    it('drops an open region without a known duration and zero-length regions', () => {
+      const output = [
+        line('silence_start: 5'),
+        line('silence_end: 5 | silence_duration: 0'),
+        line('silence_start: 7')
+      ].join('\n');
+
+      expect(analysis.parseSilence(output, null)).toEqual([]);
+    });
+  });
+
+  describe('getFlags', () => {
+    it('flags nothing for a clean report', () => {
+      expect(analysis.getFlags(cleanReport())).toEqual([]);
+    });
+
+    it('flags loudness outside the limits', () => {
+      expect(analysis.getFlags(cleanReport({ loudness: { integratedLufs: -31 } }))).toEqual(['too-quiet']);
+      expect(analysis.getFlags(cleanReport({ loudness: { integratedLufs: -8 } }))).toEqual(['too-loud']);
+    });
+
+    it('flags clipping, mono and phase problems', () => {
+      expect(analysis.getFlags(cleanReport({ clipping: { clippedSamples: 10 } }))).toEqual(['clipping']);
+      expect(analysis.getFlags(cleanReport({ channels: { rmsDb: [-18, -18], correlation: 0.99 } }))).toEqual(['mono']);
+      expect(analysis.getFlags(cleanReport({ channels: { rmsDb: [-18, -18], correlation: -0.5 } }))).toEqual(['out-of-phase']);
+    });
+
+    it('flags a silent or much quieter channel', () => {
+      expect(analysis.getFlags(cleanReport({ channels: { rmsDb: [-18, null], correlation: 0 } })))
+        .toEqual(['channel-imbalance']);
+      expect(analysis.getFlags(cleanReport({ channels: { rmsDb: [-10, -30], correlation: 0.5 } })))
+        .toEqual(['channel-imbalance']);
+    });
+
+    it('flags long silence, but not in a silent file', () => {
+      const silence = { regions: [{ start: 30, end: 40, duration: 10 }] };
+
+      expect(analysis.getFlags(cleanReport({ silence }))).toEqual(['long-silence']);
+      expect(analysis.getFlags(cleanReport({
+        silence,
+        loudness: { integratedLufs: null },
+        channels: { rmsDb: [null, null], correlation: null }
+      }))).toEqual(['silent']);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// tests/services/PlayHistoryStore.test.js
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PlayHistoryStore = require('../../src/services/PlayHistoryStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entry = (id, startedAt, extra = {}) => ({ id, fileId: `file-${id}`, startedAt, ...extra });
+
+describe('PlayHistoryStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'play-history-'));
+    store = new PlayHistoryStore(dir);
+    await store.initialize();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  describe('append', () => {
+    it('writes each entry to the file of the day it started on', async () => {
+      await store.append([
+        entry('a', '2026-03-01T23:59:00.000Z'),
+        entry('b', '2026-03-02T00:01:00.000Z')
+      ]);
+
+      expect(await store.listDays()).toEqual(['2026-03-01', '2026-03-02']);
+      const text = await fs.readFile(store.getDayPath('2026-03-01'), 'utf8');
+      expect(text.split('\n')).toEqual([JSON.stringify(entry('a', '2026-03-01T23:59:00.000Z')), '']);
+    });
+
+    it('keeps appends in call order', async () => {
+      const startedAt = '2026-03-01T10:00:00.000Z';
+      await Promise.all([
+        store.append([entry('a', startedAt)]),
+        store.append([entry('a', startedAt, { endedAt: '2026-03-01T10:03:00.000Z' })])
+      ]);
+
+      const [saved] = await store.readDay('2026-03-01');
+      expect(saved.endedAt).toBe('2026-03-01T10:03:00.000Z');
+    });
+  });
+
+  describe('readDay', () => {
+    it('keeps the last snapshot per entry in start order', async () => {
+      await store.append([entry('a', '2026-03-01T10:00:00.000Z'), entry('b', '2026-03-01T10:03:00.000Z')]);
+      await store.append([entry('a', '2026-03-01T10:00:00.000Z', { endReason: 'completed' })]);
+
+      const entries = await store.readDay('2026-03-01');
+      expect(entries.map(e => e.id)).toEqual(['a', 'b']);
+      expect(entries[0].endReason).toBe('completed');
+    });
+
+    it('returns nothing for a missing day', async () => {
+      expect(await store.readDay('2026-01-01')).toEqual([]);
+    });
+
+    it('skips a line cut short by a crash', async () => {
+      const file = store.getDayPath('2026-03-01');
+      await fs.writeFile(file, JSON.stringify(entry('a', '2026-03-01T10:00:00.000Z')) + '\n{"id":"b","sta');
+
+      expect((await store.readDay('2026-03-01')).map(e => e.id)).toEqual(['a']);
+    });
+
+    it('starts the next append after a cut line on a new line', async () => {
+      const file = store.getDayPath('2026-03-01');
+      await fs.writeFile(file, JSON.stringify(entry('a', '2026-03-01T10:00:00.000Z')) + '\n{"id":"b","sta');
+
+      await store.append([entry('c', '2026-03-01T11:00:00.000Z')]);
+      await store.append([entry('d', '2026-03-01T12:00:00.000Z')]);
+
+      expect((await store.readDay('2026-03-01')).map(e => e.id)).toEqual(['a', 'c', 'd']);
+    });
+  });
+
+  describe('read', () => {
+    beforeEach(async () => {
+      await store.append([
+        entry('a', '2026-03-01T10:00:00.000Z'),
+        entry('b', '2026-03-02T10:00:00.000Z'),
+        entry('c', '2026-03-03T10:00:00.000Z')
+      ]);
+    });
+
+    it('reads every day when no range is given', async () => {
+      expect((await store.read()).map(e => e.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('limits the days inclusively on both ends', async () => {
+      expect((await store.read('2026-03-02', '2026-03-03')).map(e => e.id)).toEqual(['b', 'c']);
+      expect((await store.read(null, '2026-03-01')).map(e => e.id)).toEqual(['a']);
+    });
+
+    it('ignores other files in the directory', async () => {
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'not history');
+
+      expect(await store.listDays()).toEqual(['2026-03-01', '2026-03-02', '2026-03-03']);
+    });
+  });
+
+  describe('prune', () => {
+    it('deletes day files older than the retention', async () => {
+      const now = Date.now();
+      await store.append([
+        entry('old', new Date(now - 10 * DAY_MS).toISOString()),
+        entry('kept', new Date(now - 2 * DAY_MS).toISOString()),
+        entry('today', new Date(now).toISOString())
+      ]);
+
+      expect(await store.prune(5)).toBe(1);
+      expect((await store.read()).map(e => e.id)).toEqual(['kept', 'today']);
+    });
+
+    it('does nothing when every day is within the retention', async () => {
+      await store.append([entry('today', new Date().toISOString())]);
+
+      expect(await store.prune(5)).toBe(0);
+      expect(await store.listDays()).toHaveLength(1);
+    });
+  });
+});
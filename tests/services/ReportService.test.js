@@ -0,0 +1,161 @@
+// tests/services/ReportService.test.js
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ReportService = require('../../src/services/ReportService');
+
+const NOW = new Date('2026-03-10T12:00:00.000Z').getTime();
+
+// As-run log entry as MetadataService stores it
+const play = (fileId, startedAt, durationPlayed, extra = {}) => ({
+  id: `${fileId}-${startedAt}`,
+  fileId,
+  originalName: `${fileId}.mp3`,
+  title: `${fileId} (as aired)`,
+  artist: null,
+  album: null,
+  isrc: null,
+  composer: null,
+  label: null,
+  category: null,
+  inserted: false,
+  startedAt,
+  endedAt: null,
+  durationPlayed,
+  endReason: durationPlayed === null ? null : 'natural',
+  ...extra
+});
+
+describe('ReportService', () => {
+  let history;
+  let files;
+  let reports;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    history = [];
+    files = {};
+    reports = new ReportService({
+      getPlayHistory: jest.fn(async () => history),
+      getFile: jest.fn(async fileId => files[fileId] || null)
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds up plays and seconds per file, most played first', async () => {
+    history.push(
+      play('a', '2026-03-01T10:00:00.000Z', 180.4),
+      play('b', '2026-03-01T10:03:00.000Z', 200),
+      play('a', '2026-03-02T09:00:00.000Z', 179.9)
+    );
+
+    const report = await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z', to: '2026-03-03T00:00:00.000Z' });
+
+    expect(report.tracks.map(t => [t.fileId, t.plays, t.seconds])).toEqual([['a', 2, 360], ['b', 1, 200]]);
+    expect(report.tracks[0].firstPlayedAt).toBe('2026-03-01T10:00:00.000Z');
+    expect(report.tracks[0].lastPlayedAt).toBe('2026-03-02T09:00:00.000Z');
+    expect(report.totals).toEqual({ tracks: 2, plays: 3, seconds: 560, missingIsrc: 2 });
+  });
+
+  it('prefers the current tags over the ones stored at airing', async () => {
+    files.a = { id: 'a', originalName: 'a.mp3', metadata: { title: 'Fixed title', isrc: 'USABC2412345', composer: null } };
+    history.push(play('a', '2026-03-01T10:00:00.000Z', 100, { composer: 'Jane Doe', artist: 'Aired artist' }));
+
+    const [track] = (await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z' })).tracks;
+
+    expect(track).toMatchObject({
+      title: 'Fixed title',
+      artist: 'Aired artist',
+      isrc: 'USABC2412345',
+      composer: 'Jane Doe'
+    });
+  });
+
+  it('falls back to the aired title and file name of a deleted file', async () => {
+    history.push(
+      play('gone', '2026-03-01T10:00:00.000Z', 100),
+      play('bare', '2026-03-01T11:00:00.000Z', 100, { title: null })
+    );
+
+    const titles = (await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z' })).tracks.map(t => t.title);
+
+    expect(titles.sort()).toEqual(['bare.mp3', 'gone (as aired)']);
+  });
+
+  it('leaves out inserted spots unless asked for them', async () => {
+    history.push(
+      play('song', '2026-03-01T10:00:00.000Z', 180),
+      play('jingle', '2026-03-01T10:03:00.000Z', 5, { inserted: true, category: 'jingle' })
+    );
+
+    const without = await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z' });
+    const withInserted = await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z', includeInserted: true });
+
+    expect(without.tracks.map(t => t.fileId)).toEqual(['song']);
+    expect(withInserted.tracks.map(t => t.fileId).sort()).toEqual(['jingle', 'song']);
+  });
+
+  it('leaves out plays shorter than minSecondsPlayed', async () => {
+    history.push(
+      play('a', '2026-03-01T10:00:00.000Z', 3),
+      play('a', '2026-03-01T11:00:00.000Z', 30)
+    );
+
+    const report = await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z', minSecondsPlayed: 10 });
+
+    expect(report.tracks.map(t => [t.fileId, t.plays, t.seconds])).toEqual([['a', 1, 30]]);
+  });
+
+  it('counts a track still on air up to now', async () => {
+    history.push(play('live', new Date(NOW - 90 * 1000).toISOString(), null));
+
+    const [track] = (await reports.getRoyaltyReport({ from: '2026-03-10T00:00:00.000Z' })).tracks;
+
+    expect(track.seconds).toBe(90);
+  });
+
+  it('counts a play in the period it started in', async () => {
+    history.push(
+      play('before', '2026-03-01T23:58:00.000Z', 300), // Runs into the period
+      play('inside', '2026-03-02T00:00:00.000Z', 60),
+      play('after', '2026-03-03T00:00:00.001Z', 60)
+    );
+
+    const report = await reports.getRoyaltyReport({ from: '2026-03-02T00:00:00.000Z', to: '2026-03-03T00:00:00.000Z' });
+
+    expect(report.tracks.map(t => t.fileId)).toEqual(['inside']);
+  });
+
+  it('returns an empty report for a zero-length period without plays', async () => {
+    history.push(play('a', '2026-03-01T10:00:00.000Z', 100));
+
+    const report = await reports.getRoyaltyReport({ from: '2026-03-02T00:00:00.000Z', to: '2026-03-02T00:00:00.000Z' });
+
+    expect(report.period).toEqual({ from: '2026-03-02T00:00:00.000Z', to: '2026-03-02T00:00:00.000Z' });
+    expect(report.tracks).toEqual([]);
+    expect(report.totals).toEqual({ tracks: 0, plays: 0, seconds: 0, missingIsrc: 0 });
+  });
+
+  it('keeps a zero-second play when there is no minimum', async () => {
+    history.push(play('a', '2026-03-01T10:00:00.000Z', 0, { endReason: 'skip' }));
+
+    const report = await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z' });
+
+    expect(report.tracks.map(t => [t.fileId, t.plays, t.seconds])).toEqual([['a', 1, 0]]);
+  });
+
+  it('asks the store for the period and reports up to now without an end', async () => {
+    await reports.getRoyaltyReport({ from: '2026-03-01T00:00:00.000Z' });
+
+    const { from, to } = reports.metadataService.getPlayHistory.mock.calls[0][0];
+    expect(from.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(to).toBeInstanceOf(Date);
+  });
+});
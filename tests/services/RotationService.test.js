@@ -0,0 +1,193 @@
+// tests/services/RotationService.test.js
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const RotationService = require('../../src/services/RotationService');
+
+const track = (id, artist, album = `${artist} album`, extra = {}) => ({
+  id,
+  originalName: `${id}.mp3`,
+  metadata: { artist, album, title: `${id} title` },
+  ...extra
+});
+
+describe('RotationService', () => {
+  let rotation;
+
+  beforeEach(() => {
+    rotation = new RotationService(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getSettings', () => {
+    it('uses defaults for missing or invalid values', () => {
+      expect(rotation.getSettings({ rotationArtistSeparation: 'x', rotationAlbumSeparation: -1 })).toEqual({
+        artistSeparation: 3,
+        albumSeparation: 2,
+        titleSeparation: 10,
+        repeatWindowHours: 0
+      });
+    });
+  });
+
+  describe('expandByWeight', () => {
+    it('adds one entry per whole weight unit and defaults to 1', () => {
+      const entries = rotation.expandByWeight([
+        track('a', 'A', 'A1', { rotationWeight: 3 }),
+        track('b', 'B'),
+        track('c', 'C', 'C1', { rotationWeight: 0 })
+      ]);
+
+      expect(entries.map(file => file.id).sort()).toEqual(['a', 'a', 'a', 'b']);
+    });
+
+    it('draws the fractional part of a weight', () => {
+      const file = track('a', 'A', 'A1', { rotationWeight: 1.5 });
+
+      jest.spyOn(Math, 'random').mockReturnValue(0.4);
+      expect(rotation.expandByWeight([file])).toHaveLength(2);
+
+      Math.random.mockReturnValue(0.6);
+      expect(rotation.expandByWeight([file])).toHaveLength(1);
+    });
+  });
+
+  describe('violatesSeparation', () => {
+    const settings = { artistSeparation: 2, albumSeparation: 1, titleSeparation: 3, repeatWindowHours: 0 };
+
+    it('rejects an artist within the separation distance', () => {
+      const history = [track('x', 'Same'), track('y', 'Other')];
+      expect(rotation.violatesSeparation(track('z', 'same '), history, settings)).toBe(true);
+    });
+
+    it('accepts an artist once it is far enough back', () => {
+      const history = [track('x', 'Same'), track('y', 'Other'), track('w', 'Third')];
+      expect(rotation.violatesSeparation(track('z', 'Same', 'New album'), history, settings)).toBe(false);
+    });
+
+    it('checks titles, falling back to the file name', () => {
+      const previous = { id: 'x', originalName: 'Jingle.mp3', metadata: {} };
+      const candidate = { id: 'y', originalName: 'jingle.mp3', metadata: {} };
+      expect(rotation.violatesSeparation(candidate, [previous, track('a', 'A'), track('b', 'B')], settings)).toBe(true);
+    });
+
+    it('never repeats the same file back to back', () => {
+      const noRules = { artistSeparation: 0, albumSeparation: 0, titleSeparation: 0, repeatWindowHours: 0 };
+      const file = track('a', 'A');
+      expect(rotation.violatesSeparation(file, [file], noRules)).toBe(true);
+    });
+  });
+
+  describe('buildRotation', () => {
+    const config = { rotationArtistSeparation: 1, rotationAlbumSeparation: 0, rotationTitleSeparation: 0 };
+
+    it('keeps the same artist apart when the library allows it', () => {
+      const files = [
+        track('a1', 'A'), track('a2', 'A'), track('a3', 'A'),
+        track('b1', 'B'), track('b2', 'B'), track('b3', 'B')
+      ];
+
+      for (let run = 0; run < 20; run++) {
+        const result = rotation.buildRotation(files, config);
+        expect(result).toHaveLength(6);
+        for (let i = 1; i < result.length; i++) {
+          expect(result[i].metadata.artist).not.toBe(result[i - 1].metadata.artist);
+        }
+      }
+    });
+
+    it('keeps separation across the loop-around using recent tracks', () => {
+      const files = [track('a1', 'A'), track('b1', 'B')];
+
+      for (let run = 0; run < 10; run++) {
+        const result = rotation.buildRotation(files, config, [track('a0', 'A')]);
+        expect(result.map(file => file.id)).toEqual(['b1', 'a1']);
+      }
+    });
+
+    it('relaxes the rules instead of stalling', () => {
+      const files = [track('a1', 'A'), track('a2', 'A'), track('a3', 'A')];
+      const result = rotation.buildRotation(files, config);
+      expect(result.map(file => file.id).sort()).toEqual(['a1', 'a2', 'a3']);
+    });
+
+    it('plays weighted files as often as their weight', () => {
+      const files = [
+        track('heavy', 'A', 'A1', { rotationWeight: 2 }),
+        track('never', 'B', 'B1', { rotationWeight: 0 }),
+        track('c', 'C')
+      ];
+      const ids = rotation.buildRotation(files, config).map(file => file.id);
+
+      expect(ids.filter(id => id === 'heavy')).toHaveLength(2);
+      expect(ids).not.toContain('never');
+      expect(ids).toContain('c');
+    });
+
+    it('leaves out tracks played within the repeat window', () => {
+      const now = Date.now();
+      const files = [
+        track('recent', 'A', 'A1', { lastPlayedAt: new Date(now - 30 * 60000).toISOString() }),
+        track('old', 'B', 'B1', { lastPlayedAt: new Date(now - 5 * 3600000).toISOString() }),
+        track('never', 'C')
+      ];
+      const ids = rotation.buildRotation(files, { ...config, rotationRepeatWindowHours: 2 }).map(file => file.id);
+
+      expect(ids.sort()).toEqual(['never', 'old']);
+    });
+
+    it('falls back to least recently played when the window excludes everything', () => {
+      const now = Date.now();
+      const files = [
+        track('newer', 'A', 'A1', { lastPlayedAt: new Date(now - 10 * 60000).toISOString() }),
+        track('older', 'B', 'B1', { lastPlayedAt: new Date(now - 50 * 60000).toISOString() })
+      ];
+      const ids = rotation.buildRotation(files, { ...config, rotationRepeatWindowHours: 2 }).map(file => file.id);
+
+      expect(ids).toEqual(['older', 'newer']);
+    });
+
+    it('keeps weight 0 files out of the repeat window fallback', () => {
+      const now = Date.now();
+      const files = [
+        track('off', 'A', 'A1', { rotationWeight: 0, lastPlayedAt: new Date(now - 90 * 60000).toISOString() }),
+        track('on', 'B', 'B1', { lastPlayedAt: new Date(now - 10 * 60000).toISOString() })
+      ];
+      const ids = rotation.buildRotation(files, { ...config, rotationRepeatWindowHours: 2 }).map(file => file.id);
+
+      expect(ids).toEqual(['on']);
+    });
+
+    it('keeps separation in the repeat window fallback', () => {
+      const now = Date.now();
+      const minutesAgo = minutes => new Date(now - minutes * 60000).toISOString();
+      const files = [
+        track('a1', 'A', 'A1', { lastPlayedAt: minutesAgo(50) }),
+        track('a2', 'A', 'A2', { lastPlayedAt: minutesAgo(40) }),
+        track('b1', 'B', 'B1', { lastPlayedAt: minutesAgo(30) })
+      ];
+      const ids = rotation.buildRotation(files, { ...config, rotationRepeatWindowHours: 2 }).map(file => file.id);
+
+      expect(ids).toEqual(['a1', 'b1', 'a2']);
+    });
+
+    it('keeps weight 0 files out when no low-weight file is drawn', () => {
+      const files = [
+        track('off', 'A', 'A1', { rotationWeight: 0 }),
+        track('low', 'B', 'B1', { rotationWeight: 0.5 })
+      ];
+
+      jest.spyOn(Math, 'random').mockReturnValue(0.9);
+      const ids = rotation.buildRotation(files, config).map(file => file.id);
+
+      expect(ids).toEqual(['low']);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+// tests/services/ScheduleService.test.js
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ScheduleService = require('../../src/services/ScheduleService');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const slot = (id, days, startTime, endTime, extra = {}) => ({
+  id,
+  programId: 'program',
+  days,
+  startTime,
+  endTime,
+  enabled: true,
+  ...extra
+});
+
+describe('ScheduleService', () => {
+  let slots;
+  let schedule;
+
+  beforeEach(() => {
+    slots = [];
+    schedule = new ScheduleService({
+      getSchedule: async () => ({ programs: [], slots })
+    });
+  });
+
+  describe('getSlotRanges', () => {
+    it('maps a slot to one range per day', () => {
+      expect(schedule.getSlotRanges(slot('s', [1, 3], '09:00', '10:30'))).toEqual([
+        [MINUTES_PER_DAY + 540, MINUTES_PER_DAY + 630],
+        [3 * MINUTES_PER_DAY + 540, 3 * MINUTES_PER_DAY + 630]
+      ]);
+    });
+
+    it('runs a slot past midnight into the next day', () => {
+      expect(schedule.getSlotRanges(slot('s', [2], '22:00', '02:00'))).toEqual([
+        [2 * MINUTES_PER_DAY + 1320, 3 * MINUTES_PER_DAY + 120]
+      ]);
+    });
+
+    it('accepts 24:00 as the end of the day', () => {
+      expect(schedule.getSlotRanges(slot('s', [0], '20:00', '24:00'))).toEqual([[1200, MINUTES_PER_DAY]]);
+    });
+
+    it('splits a Saturday night slot at the end of the week', () => {
+      expect(schedule.getSlotRanges(slot('s', [6], '23:00', '01:00'))).toEqual([
+        [6 * MINUTES_PER_DAY + 1380, 7 * MINUTES_PER_DAY],
+        [0, 60]
+      ]);
+    });
+  });
+
+  describe('findConflicts', () => {
+    it('finds a slot overlapping on a shared day', async () => {
+      slots.push(slot('morning', [1, 2], '08:00', '10:00'));
+
+      const conflicts = await schedule.findConflicts(slot('new', [2], '09:30', '11:00'));
+      expect(conflicts.map(s => s.id)).toEqual(['morning']);
+    });
+
+    it('allows back-to-back slots', async () => {
+      slots.push(slot('morning', [1], '08:00', '10:00'));
+
+      expect(await schedule.findConflicts(slot('new', [1], '10:00', '12:00'))).toEqual([]);
+      expect(await schedule.findConflicts(slot('new', [1], '06:00', '08:00'))).toEqual([]);
+    });
+
+    it('ignores the same hours on other days', async () => {
+      slots.push(slot('morning', [1], '08:00', '10:00'));
+
+      expect(await schedule.findConflicts(slot('new', [2, 3], '08:00', '10:00'))).toEqual([]);
+    });
+
+    it('finds an overnight slot clashing with the next morning', async () => {
+      slots.push(slot('night', [4], '23:00', '03:00'));
+
+      const conflicts = await schedule.findConflicts(slot('new', [5], '02:00', '04:00'));
+      expect(conflicts.map(s => s.id)).toEqual(['night']);
+    });
+
+    it('finds a clash across the end of the week', async () => {
+      slots.push(slot('late', [6], '22:00', '02:00'));
+
+      const conflicts = await schedule.findConflicts(slot('sunday', [0], '01:00', '03:00'));
+      expect(conflicts.map(s => s.id)).toEqual(['late']);
+    });
+
+    it('skips the slot being edited and disabled slots', async () => {
+      slots.push(slot('edited', [1], '08:00', '10:00'));
+      slots.push(slot('off', [1], '08:00', '10:00', { enabled: false }));
+
+      expect(await schedule.findConflicts(slot('edited', [1], '09:00', '11:00'))).toEqual([]);
+    });
+
+    it('never reports conflicts for a disabled candidate', async () => {
+      slots.push(slot('morning', [1], '08:00', '10:00'));
+
+      expect(await schedule.findConflicts(slot('new', [1], '08:00', '10:00', { enabled: false }))).toEqual([]);
+    });
+  });
+});
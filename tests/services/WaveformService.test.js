@@ -0,0 +1,83 @@
+// tests/services/WaveformService.test.js
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const WaveformService = require('../../src/services/WaveformService');
+
+// Flattened [min, max] pairs with a given min and max per point
+const pairs = (...points) => points.flat();
+
+describe('WaveformService', () => {
+  let waveform;
+
+  beforeEach(() => {
+    waveform = new WaveformService();
+  });
+
+  describe('downsample', () => {
+    it('keeps the peaks when they have no more points than requested', () => {
+      const peaks = pairs([-10, 12], [-3, 4]);
+
+      expect(waveform.downsample(peaks, 2)).toBe(peaks);
+      expect(waveform.downsample(peaks, 500)).toBe(peaks);
+    });
+
+    it('takes the lowest min and highest max of each merged range', () => {
+      const peaks = pairs([-10, 12], [-30, 4], [-1, 90], [-5, 5]);
+
+      expect(waveform.downsample(peaks, 2)).toEqual([-30, 12, -5, 90]);
+    });
+
+    it('splits points that do not divide evenly into consecutive ranges', () => {
+      const peaks = pairs([-1, 0], [-2, 0], [-3, 0], [-4, 0], [-5, 0]);
+
+      expect(waveform.downsample(peaks, 3)).toEqual([-1, 0, -3, 0, -5, 0]);
+    });
+
+    it('never produces an empty range', () => {
+      const peaks = pairs(...Array.from({ length: 7 }, (_, i) => [-(i + 1), i + 1]));
+      const result = waveform.downsample(peaks, 6);
+
+      expect(result).toHaveLength(12);
+      for (let i = 0; i < result.length; i += 2) {
+        expect(result[i]).toBeLessThan(0);
+        expect(result[i + 1]).toBeGreaterThan(0);
+      }
+    });
+
+    it('returns nothing for a file without audio', () => {
+      expect(waveform.downsample([], 1000)).toEqual([]);
+    });
+  });
+
+  describe('getWaveform', () => {
+    it('scales peaks to -1..1 and reports the time per point', async () => {
+      jest.spyOn(waveform, 'getCachedPeaks').mockResolvedValue({
+        duration: 2,
+        peaks: pairs([-128, 127], [-64, 32], [0, 0], [-1, 1])
+      });
+
+      expect(await waveform.getWaveform({ id: 'f' }, 2)).toEqual({
+        duration: 2,
+        resolution: 2,
+        secondsPerPoint: 1,
+        peaks: [-1, 0.992, -0.008, 0.008]
+      });
+    });
+
+    it('handles a zero-length file', async () => {
+      jest.spyOn(waveform, 'getCachedPeaks').mockResolvedValue({ duration: 0, peaks: [] });
+
+      expect(await waveform.getWaveform({ id: 'f' }, 1000)).toEqual({
+        duration: 0,
+        resolution: 0,
+        secondsPerPoint: 0,
+        peaks: []
+      });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// tests/utils/OggOpusParser.test.js
+const { OggOpusParser, getOpusPacketSamples } = require('../../src/utils/OggOpusParser');
+
+/**
+ * Build one Ogg page from packets. A packet given as { data, open: true }
+ * is not terminated on this page (it continues on the next one).
+ * The CRC is left at zero; the parser does not check it.
+ */
+function oggPage(packets, { continued = false } = {}) {
+  const lacing = [];
+  const bodies = [];
+
+  for (const packet of packets) {
+    const { data, open } = Buffer.isBuffer(packet) ? { data: packet, open: false } : packet;
+    let remaining = data.length;
+    while (remaining >= 255) {
+      lacing.push(255);
+      remaining -= 255;
+    }
+    if (!open) lacing.push(remaining);
+    bodies.push(data);
+  }
+
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'latin1');
+  header[5] = continued ? 0x01 : 0x00;
+  header[26] = lacing.length;
+
+  return Buffer.concat([header, Buffer.from(lacing), ...bodies]);
+}
+
+// TOC byte: config 19 (CELT, 20 ms), code 0 (one frame)
+const opusPacket = (size, fill = 0xAA) => {
+  const packet = Buffer.alloc(size, fill);
+  packet[0] = (19 << 3) | 0;
+  return packet;
+};
+
+function parse(chunks) {
+  return new Promise((resolve, reject) => {
+    const parser = new OggOpusParser();
+    const packets = [];
+    parser.on('data', packet => packets.push(packet));
+    parser.on('end', () => resolve(packets));
+    parser.on('error', reject);
+    for (const chunk of chunks) parser.write(chunk);
+    parser.end();
+  });
+}
+
+describe('getOpusPacketSamples', () => {
+  it('reads the frame size from the TOC config', () => {
+    expect(getOpusPacketSamples(Buffer.from([(0 << 3) | 0]))).toBe(480);   // SILK 10 ms
+    expect(getOpusPacketSamples(Buffer.from([(13 << 3) | 0]))).toBe(960);  // Hybrid 20 ms
+    expect(getOpusPacketSamples(Buffer.from([(16 << 3) | 0]))).toBe(120);  // CELT 2.5 ms
+  });
+
+  it('counts frames per packet code', () => {
+    expect(getOpusPacketSamples(Buffer.from([(19 << 3) | 1]))).toBe(1920);
+    expect(getOpusPacketSamples(Buffer.from([(19 << 3) | 2]))).toBe(1920);
+    expect(getOpusPacketSamples(Buffer.from([(19 << 3) | 3, 3]))).toBe(2880);
+  });
+
+  it('returns 0 for an empty packet', () => {
+    expect(getOpusPacketSamples(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('OggOpusParser', () => {
+  const head = Buffer.concat([Buffer.from('OpusHead', 'latin1'), Buffer.alloc(11)]);
+  const tags = Buffer.concat([Buffer.from('OpusTags', 'latin1'), Buffer.alloc(8)]);
+
+  it('splits a page into packets and drops the header packets', async () => {
+    const first = opusPacket(40, 0x01);
+    const second = opusPacket(60, 0x02);
+
+    const packets = await parse([oggPage([head]), oggPage([tags]), oggPage([first, second])]);
+
+    expect(packets).toHaveLength(2);
+    expect(packets[0].data.equals(first)).toBe(true);
+    expect(packets[1].data.equals(second)).toBe(true);
+    expect(packets[0].samples).toBe(960);
+  });
+
+  it('joins lacing values of 255 into one packet', async () => {
+    const large = opusPacket(600);
+
+    const packets = await parse([oggPage([large])]);
+
+    expect(packets).toHaveLength(1);
+    expect(packets[0].data.equals(large)).toBe(true);
+  });
+
+  it('keeps a 255-byte packet whole (terminated by a zero lacing value)', async () => {
+    const exact = opusPacket(255);
+
+    const packets = await parse([oggPage([exact, opusPacket(10)])]);
+
+    expect(packets.map(p => p.data.length)).toEqual([255, 10]);
+  });
+
+  it('joins a packet continued on the next page', async () => {
+    const packet = opusPacket(700, 0x33);
+    const start = packet.subarray(0, 510);
+    const rest = packet.subarray(510);
+
+    const packets = await parse([
+      oggPage([{ data: start, open: true }]),
+      oggPage([rest], { continued: true })
+    ]);
+
+    expect(packets).toHaveLength(1);
+    expect(packets[0].data.equals(packet)).toBe(true);
+  });
+
+  it('drops an unfinished packet when the next page does not continue it', async () => {
+    const packets = await parse([
+      oggPage([{ data: opusPacket(255), open: true }]),
+      oggPage([opusPacket(20)])
+    ]);
+
+    expect(packets.map(p => p.data.length)).toEqual([20]);
+  });
+
+  it('handles pages split across chunks at any byte', async () => {
+    const stream = Buffer.concat([
+      oggPage([head]),
+      oggPage([opusPacket(30), opusPacket(300)]),
+      oggPage([opusPacket(50)])
+    ]);
+
+    const chunks = [];
+    for (let offset = 0; offset < stream.length; offset += 7) {
+      chunks.push(stream.subarray(offset, offset + 7));
+    }
+
+    const packets = await parse(chunks);
+    expect(packets.map(p => p.data.length)).toEqual([30, 300, 50]);
+  });
+
+  it('resynchronises on the next page after garbage', async () => {
+    const packets = await parse([
+      Buffer.from('not an ogg page at all'),
+      oggPage([opusPacket(25)])
+    ]);
+
+    expect(packets.map(p => p.data.length)).toEqual([25]);
+  });
+
+  it('reads chained streams as one packet sequence', async () => {
+    const packets = await parse([
+      oggPage([head]), oggPage([tags]), oggPage([opusPacket(10)]),
+      oggPage([head]), oggPage([tags]), oggPage([opusPacket(20)])
+    ]);
+
+    expect(packets.map(p => p.data.length)).toEqual([10, 20]);
+  });
+});
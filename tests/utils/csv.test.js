@@ -0,0 +1,52 @@
+// tests/utils/csv.test.js
+const { escapeCsvValue, toCsv } = require('../../src/utils/csv');
+
+describe('escapeCsvValue', () => {
+  it('leaves plain values alone', () => {
+    expect(escapeCsvValue('Plain title')).toBe('Plain title');
+    expect(escapeCsvValue(42)).toBe('42');
+    expect(escapeCsvValue(0)).toBe('0');
+  });
+
+  it('writes null and undefined as empty fields', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(escapeCsvValue('Smith, Jane')).toBe('"Smith, Jane"');
+    expect(escapeCsvValue('The "Hit"')).toBe('"The ""Hit"""');
+    expect(escapeCsvValue('Line one\nLine two')).toBe('"Line one\nLine two"');
+    expect(escapeCsvValue('Carriage\rreturn')).toBe('"Carriage\rreturn"');
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [
+    { header: 'Title', value: 'title' },
+    { header: 'Plays, total', value: 'plays' },
+    { header: 'Minutes', value: row => row.seconds / 60 }
+  ];
+
+  it('writes a header and one CRLF-terminated line per row', () => {
+    const csv = toCsv(columns, [
+      { title: 'One', plays: 3, seconds: 180 },
+      { title: 'Say "Hi", Bye', plays: 1, seconds: 30 }
+    ]);
+
+    expect(csv).toBe(
+      'Title,"Plays, total",Minutes\r\n' +
+      'One,3,3\r\n' +
+      '"Say ""Hi"", Bye",1,0.5\r\n'
+    );
+  });
+
+  it('writes only the header for no rows', () => {
+    expect(toCsv(columns, [])).toBe('Title,"Plays, total",Minutes\r\n');
+  });
+
+  it('leaves missing values empty', () => {
+    expect(toCsv([{ header: 'ISRC', value: 'isrc' }, { header: 'Label', value: 'label' }], [{ isrc: null }]))
+      .toBe('ISRC,Label\r\n,\r\n');
+  });
+});